@@ -15,6 +15,16 @@
 import { updateCamera } from "./utils/app.js";
 import { setCustomConfig } from "./utils/config.js";
 
+// The auto orbit types (see `camera.orbitType` in the config) with their labels
+const ORBIT_TYPES = [
+  ["dynamic-orbit", "Dynamic orbit"],
+  ["fixed-orbit", "Fixed orbit"],
+  ["spiral", "Spiral"],
+  ["elliptical-orbit", "Elliptical orbit"],
+  ["poi-hopping", "POI hopping"],
+  ["flyover", "Flyover"],
+];
+
 /**
  * Creates and returns the camera settings section for the config center
  *
@@ -53,34 +63,32 @@ export const getCameraSettingsSection = (cameraConfig) => {
   baseRadioButton.type = "radio";
   baseRadioButton.name = "orbitType";
 
-  const dynamicOrbitLabel = document.createElement("label");
-  dynamicOrbitLabel.textContent = "Dynamic orbit";
-  const dynamicOrbitRadioButton = baseRadioButton.cloneNode();
-  dynamicOrbitRadioButton.checked = cameraConfig.orbitType === "dynamic-orbit";
-  dynamicOrbitRadioButton.id = "dynamic-orbit";
-  dynamicOrbitRadioButton.value = "dynamic-orbit";
-  dynamicOrbitLabel.htmlFor = "dynamic-orbit";
-  const dynamicOrbitButtonContainer = document.createElement("div");
-  dynamicOrbitButtonContainer.appendChild(dynamicOrbitRadioButton);
-  dynamicOrbitButtonContainer.appendChild(dynamicOrbitLabel);
-
-  const fixedOrbitLabel = document.createElement("label");
-  fixedOrbitLabel.textContent = "Fixed orbit";
-  const fixedOrbitRadioButton = baseRadioButton.cloneNode();
-  fixedOrbitRadioButton.checked = cameraConfig.orbitType === "fixed-orbit";
-  fixedOrbitRadioButton.id = "fixed-orbit";
-  fixedOrbitRadioButton.value = "fixed-orbit";
-  fixedOrbitLabel.htmlFor = "fixed-orbit";
-  const fixedOrbitButtonContainer = document.createElement("div");
-  fixedOrbitButtonContainer.appendChild(fixedOrbitRadioButton);
-  fixedOrbitButtonContainer.appendChild(fixedOrbitLabel);
-
   const autoOrbitFilter = document.createElement("div");
   autoOrbitFilter.classList.add("radio-buttons-container");
-
   autoOrbitFilter.appendChild(autoOrbitFilterTitle);
-  autoOrbitFilter.appendChild(dynamicOrbitButtonContainer);
-  autoOrbitFilter.appendChild(fixedOrbitButtonContainer);
+
+  // Create a radio button for each auto orbit type
+  for (const [orbitType, labelText] of ORBIT_TYPES) {
+    const orbitLabel = document.createElement("label");
+    orbitLabel.textContent = labelText;
+    orbitLabel.htmlFor = orbitType;
+
+    const orbitRadioButton = baseRadioButton.cloneNode();
+    orbitRadioButton.checked = cameraConfig.orbitType === orbitType;
+    orbitRadioButton.id = orbitType;
+    orbitRadioButton.value = orbitType;
+
+    // Update the map's camera auto orbit type
+    orbitRadioButton.addEventListener("change", (event) => {
+      setCustomConfig("camera.orbitType", event.target.value);
+      updateCamera();
+    });
+
+    const orbitButtonContainer = document.createElement("div");
+    orbitButtonContainer.appendChild(orbitRadioButton);
+    orbitButtonContainer.appendChild(orbitLabel);
+    autoOrbitFilter.appendChild(orbitButtonContainer);
+  }
 
   const speedFilterSlider = document.createElement("div");
   speedFilterSlider.classList.add("config-slider-container");
@@ -109,16 +117,6 @@ export const getCameraSettingsSection = (cameraConfig) => {
     updateCamera();
   });
 
-  // Update the map's camera auto orbit type
-  fixedOrbitRadioButton.addEventListener("change", (event) => {
-    setCustomConfig("camera.orbitType", event.target.value);
-    updateCamera();
-  });
-  dynamicOrbitRadioButton.addEventListener("change", (event) => {
-    setCustomConfig("camera.orbitType", event.target.value);
-    updateCamera();
-  });
-
   const speedFilterLabelMin = document.createElement("label");
   speedFilterLabelMin.textContent = "Slow";
 
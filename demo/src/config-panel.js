@@ -12,13 +12,14 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import { config } from "../main.js";
+import { activeConfig, config } from "../main.js";
 
 import { getCameraSettingsSection } from "./camera-settings.js";
 import { getLocationSettingsSection } from "./location-settings.js";
 import { getPlaceSettingsSection } from "./place-settings.js";
 
-import { updateCamera, updateLocation, updateMarkers } from "./utils/app.js";
+import { deepMerge } from "../utils/config.js";
+import { CONFIG_VERSION } from "../utils/config-migrations.js";
 import { getCustomConfig } from "./utils/config.js";
 
 /**
@@ -27,12 +28,11 @@ import { getCustomConfig } from "./utils/config.js";
  * @returns {string} The data URL.
  */
 export const getConfigDownloadDataUrl = () => {
-  const customConfig = getCustomConfig();
   // Combine the config customizations with the default config
+  // and always write the current config version
   const combinedConfig = {
-    location: { ...config.location, ...customConfig.location },
-    poi: { ...config.poi, ...customConfig.poi },
-    camera: { ...config.camera, ...customConfig.camera },
+    ...deepMerge(config, getCustomConfig()),
+    version: CONFIG_VERSION,
   };
 
   return `data:text/json;charset=utf-8,${encodeURIComponent(
@@ -62,11 +62,12 @@ const toggleConfigSection = (event) => {
  * Creates the config center UI and adds it to the DOM
  */
 const createConfigCenter = async () => {
-  const customConfig = getCustomConfig();
-  // Combine the config customizations with the default config
-  const locationConfig = { ...config.location, ...customConfig.location };
-  const poiConfig = { ...config.poi, ...customConfig.poi };
-  const cameraConfig = { ...config.camera, ...customConfig.camera };
+  // The settings of the location shown on the map, which already include the config customizations
+  const {
+    location: locationConfig,
+    poi: poiConfig,
+    camera: cameraConfig,
+  } = activeConfig;
 
   const mainContainerElement = document.querySelector(".main-container");
 
@@ -148,16 +149,7 @@ const createConfigCenter = async () => {
 
   mainContainerElement.appendChild(configCenterPanel);
   mainContainerElement.appendChild(downloadButton);
-  // Update the map according to the received custom config
-  if (customConfig.camera) {
-    updateCamera();
-  }
-  if (customConfig.location) {
-    updateLocation();
-  }
-  if (customConfig.location || customConfig.poi) {
-    updateMarkers();
-  }
+  // The custom config of the URL hash is already applied by the core app when loading the config
 };
 
 createConfigCenter();
@@ -12,6 +12,7 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import { loadGoogleMaps } from "../utils/places.js";
 import { updateLocation, updateMarkers } from "./utils/app.js";
 import { setCustomConfig } from "./utils/config.js";
 
@@ -48,6 +49,9 @@ export const getLocationSettingsSection = async (locationConfig) => {
   // Prevent event bubbling to not trigger the toggle event of the details element while typing
   locationInput.onkeyup = (event) => event.preventDefault();
 
+  // The autocomplete needs the Places library, which is only loaded on demand
+  await loadGoogleMaps();
+
   const options = { fields: ["geometry"] };
   const autocomplete = new google.maps.places.Autocomplete(
     locationInput,
@@ -15,6 +15,7 @@
 
 import { updateCamera, updateMarkers } from "./utils/app.js";
 import { setCustomConfig } from "./utils/config.js";
+import { updateDistanceRings } from "../utils/distance-rings.js";
 
 const PLACES_TYPES = [
   {
@@ -233,10 +234,13 @@ export const getPlaceSettingsSection = async (poiConfig) => {
   radiusFilterSlider.style.setProperty("--min", radiusFilterInput.min);
   radiusFilterSlider.style.setProperty("--max", radiusFilterInput.max);
 
-  // Update the slider progress and label when the value changed
+  // Update the slider progress, the label and the search radius ring when the value changed
   radiusFilterInput.addEventListener("input", () => {
     radiusFilterSlider.style.setProperty("--value", radiusFilterInput.value);
     radiusFilterLabel.textContent = radiusFilterInput.value / 1000;
+    updateDistanceRings(Number(radiusFilterInput.value)).catch((error) =>
+      console.error(error)
+    );
   });
 
   // Update the markers on the map when the radius changed
@@ -12,16 +12,8 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
-import {
-  cesiumViewer,
-  performFlyTo,
-  setAutoOrbitCameraSpeed,
-  setAutoOrbitType,
-  updateZoomToRadius,
-  zoomResetCallback,
-} from "../../utils/cesium.js";
-import createMarkers from "../../utils/create-markers.js";
-import { getNearbyPois } from "../../utils/places.js";
+import { updateZoomToRadius } from "../../utils/cesium.js";
+import { applyConfig } from "../../utils/app.js";
 
 import { getConfigCenterConfig } from "./config.js";
 
@@ -33,9 +25,8 @@ export async function updateCamera() {
     const { camera: cameraConfig, poi: poiConfig } = getConfigCenterConfig();
 
     console.info("The new camera settings set by the user is camera speed: "+cameraConfig.speed+" orbit type: "+cameraConfig.orbitType)
-    // Adjust the camera speed of the auto orbit animation
-    setAutoOrbitCameraSpeed(cameraConfig.speed);
-    await setAutoOrbitType(cameraConfig.orbitType);
+    // Adjust the camera speed and type of the auto orbit animation
+    await applyConfig({ camera: cameraConfig });
     await updateZoomToRadius(poiConfig.searchRadius);
   } catch (error) {
     console.error(error);
@@ -44,17 +35,16 @@ export async function updateCamera() {
 
 /**
  * Updates the location of the map with the current configuration values.
+ * The core app moves the camera and fetches the POIs of the new location.
+ * With a list of locations, only the selected location is changed.
  */
 export const updateLocation = async () => {
   try {
-    const {
-      location: { coordinates },
-    } = getConfigCenterConfig();
+    const { location: locationConfig } = getConfigCenterConfig();
+    const { coordinates } = locationConfig;
     console.log("The new coordinates set by the user is lat: "+coordinates.lat+" long: "+coordinates.lng)
 
-    // move the camera to face the main location's coordinates
-    await performFlyTo(coordinates);
-    updateZoomControl(coordinates);
+    await applyConfig({ location: locationConfig });
   } catch (error) {
     console.error(error);
   }
@@ -62,52 +52,14 @@ export const updateLocation = async () => {
 
 /**
  * Updates the markers on the map with the current configuration values.
+ * The POIs are only fetched again if the POI configuration changed.
  */
 export const updateMarkers = async () => {
   try {
-    const {
-      location: { coordinates },
-      poi: poiConfig,
-    } = getConfigCenterConfig();
+    const { poi: poiConfig } = getConfigCenterConfig();
 
-    // based on the given main location, fetch the surrounding POIs of the selected categories
-    const pois = await getNearbyPois(poiConfig, coordinates);
-    // remove all markers from the map before creating new ones
-    cesiumViewer.entities.removeAll();
-    // create markers according to the POIs placed on the map
-    await createMarkers(pois, coordinates);
+    await applyConfig({ poi: poiConfig });
   } catch (error) {
     console.error(error);
   }
 };
-
-// A reference to the abort controller used to cancel the zoom reset button click event
-let zoomResetController;
-
-/**
- * Updates the zoom reset control button with the given coordinates.
- */
-function updateZoomControl(coords) {
-  const zoomResetButton = document.querySelector(".zoom-reset-button");
-
-  if (!zoomResetButton) {
-    return;
-  }
-
-  // cancel the previous zoom reset button click event
-  if (zoomResetController) {
-    zoomResetController.abort();
-  }
-
-  // create a new abort controller for the zoom reset button click event
-  zoomResetController = new AbortController();
-
-  // add a click event listener to the zoom reset button
-  zoomResetButton.addEventListener(
-    "click",
-    () => {
-      zoomResetCallback(coords);
-    },
-    { signal: zoomResetController.signal }
-  );
-}
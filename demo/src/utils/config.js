@@ -12,6 +12,8 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import { parseConfigParameters } from "../../utils/config.js";
+
 /**
  * Returns the customized configuration data from URL hash parameters.
  *
@@ -20,42 +22,7 @@
 export const getCustomConfig = () => {
   const params = new URLSearchParams(window.location.hash.replace("#", ""));
 
-  const locationConfig = {
-    ...(params.get("location.coordinates.lat") &&
-      params.get("location.coordinates.lng") && {
-        coordinates: {
-          lat: Number(params.get("location.coordinates.lat")),
-          lng: Number(params.get("location.coordinates.lng")),
-        },
-      }),
-  };
-
-  const poiConfig = {
-    ...(params.get("poi.types") && {
-      types: params.getAll("poi.types"),
-    }),
-    ...(params.get("poi.searchRadius") && {
-      searchRadius: Number(params.get("poi.searchRadius")),
-    }),
-    ...(params.get("poi.density") && {
-      density: Number(params.get("poi.density")),
-    }),
-  };
-
-  const cameraConfig = {
-    ...(params.get("camera.orbitType") && {
-      orbitType: params.get("camera.orbitType"),
-    }),
-    ...(params.get("camera.speed") && {
-      speed: Number(params.get("camera.speed")),
-    }),
-  };
-
-  return {
-    ...(Object.values(locationConfig).length && { location: locationConfig }),
-    ...(Object.values(poiConfig).length && { poi: poiConfig }),
-    ...(Object.values(cameraConfig).length && { camera: cameraConfig }),
-  };
+  return parseConfigParameters(params);
 };
 
 /**
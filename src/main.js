@@ -13,38 +13,142 @@
 // limitations under the License.
 
 import { loadConfig } from "./utils/config.js";
+import {
+  activeConfig,
+  getUrlLocationName,
+  setInitialConfig,
+} from "./utils/app.js";
 import { performFlyTo, initializeCesiumViewer } from "./utils/cesium.js";
 
-import { getNearbyPois } from "./utils/places.js";
+import { dispatchPoisLoad, getNearbyPois } from "./utils/pois.js";
 import createMarkers from "./utils/create-markers.js";
+import { prefetchMarkerTemplates } from "./utils/marker-images.js";
+import { createLocationSwitcher } from "./utils/location-switcher.js";
+import { createCategoryLegend } from "./utils/category-legend.js";
+import { createPoiSummary } from "./utils/poi-summary.js";
+import { createNeighbourhoodScore } from "./utils/neighbourhood-score.js";
+import { createDistanceRings } from "./utils/distance-rings.js";
+import { createBoundary } from "./utils/boundary.js";
+import { createCameraTours } from "./utils/camera-tour.js";
+import { createStory } from "./utils/story.js";
+import { createKiosk } from "./utils/kiosk.js";
+import { createPoiExportControl } from "./utils/poi-export.js";
+
+// The element hosting the app. Its `data-*` attributes can override single config values,
+// e.g. `<main class="main-container" data-camera-speed="2">`.
+const hostElement = document.querySelector(".main-container");
 
 // Here we load the configuration.
-// The current implementation loads our local `config.json`.
+// The current implementation loads our local `config.json`, unless one or more
+// (space-separated) config urls are set on the host element, e.g. `data-config-url="base.json kiosk.json"`.
 //
 // This can be changed easily, to fetch from any other API, CMS
 // or request some file from another host, by changing the config url parameter.
+// The config files are merged on top of the built-in defaults, followed by the
+// `data-*` attributes of the host element and the URL parameters (e.g. `#camera.speed=2`).
 //
 // You could also implement your (dynamic) configuration loading function here.
-export const config = await loadConfig("config.json");
+const configUrls = (hostElement.dataset.configUrl || "config.json")
+  .trim()
+  .split(/\s+/);
+
+setInitialConfig(
+  await loadConfig(configUrls, {
+    hostElement,
+    locationName: getUrlLocationName(),
+  })
+);
+
+// The current config is replaced when calling `applyConfig`, e.g. to push updates from a CMS
+// without reloading the page. Listen to the `configchange` event on the `window` to get notified.
+// With multiple locations in the config, `selectLocation` switches between them.
+export {
+  config,
+  activeConfig,
+  applyConfig,
+  selectLocation,
+} from "./utils/app.js";
 
+// `exportPois("geojson" | "csv")` returns the POIs shown on the map as file content,
+// `downloadPois("geojson" | "csv")` downloads them as file.
+export { exportPois, downloadPois } from "./utils/poi-export.js";
+// `getNeighbourhoodScore()` returns the score of the current location and its breakdown as JSON values.
+export { getNeighbourhoodScore } from "./utils/neighbourhood-score.js";
+// Camera tours of the `tours` config can be played and recorded from custom controls.
+export {
+  playTour,
+  pauseTour,
+  resumeTour,
+  seekTour,
+  stopTour,
+  getTourState,
+  startTourRecording,
+  recordTourKeyframe,
+  stopTourRecording,
+  exportTour,
+} from "./utils/camera-tour.js";
+// The story of the `story` config can be told from custom controls, see the `storychange` event.
+export {
+  startStory,
+  showNextStoryStop,
+  showPreviousStoryStop,
+  stopStory,
+  getStoryState,
+} from "./utils/story.js";
+// The auto-orbit can be driven without the toggle switch, see the `autoorbitchange` event.
+export { autoOrbitController } from "./utils/cesium.js";
+// `resetKiosk()` resets the map like the kiosk mode after the idle timeout.
+export { resetKiosk } from "./utils/kiosk.js";
+
+// The config of the selected location (the first one, unless another one is selected in the URL)
 const {
-  location: { coordinates },
+  location: { coordinates, boundary },
   poi: poiConfig,
   camera: cameraConfig,
-} = config;
+  markers: markersConfig,
+} = activeConfig;
 
 export async function main() {
+  // fetch the marker template while the viewer is initialized
+  prefetchMarkerTemplates();
+
   try {
     await initializeCesiumViewer(coordinates, cameraConfig);
+    // show the location switcher if there are multiple locations in the config
+    createLocationSwitcher();
+    // download the POIs shown on the map as GeoJSON or CSV file
+    createPoiExportControl();
+    // show and hide the categories of the POIs on the map
+    createCategoryLegend();
+    // show the nearest place of each category once the POIs are loaded
+    createPoiSummary();
+    // score the location by the places of each category within walking distance
+    createNeighbourhoodScore();
+    // draw the search radius and distance bands around the center
+    createDistanceRings();
+    // outline the neighbourhood or parcel of the location
+    createBoundary();
+    // play, record and export the camera tours
+    createCameraTours();
+    // guide through the stops of the story with captions
+    createStory();
+    // reset unattended screens after the idle timeout
+    createKiosk();
 
     if (coordinates.lat && coordinates.lng) {
       console.log("Inside main.js ")
       // move the camera to face the main location's coordinates
       await performFlyTo(coordinates);
       // based on the given main location, fetch the surrounding POIs of the selected categories
-      const pois = await getNearbyPois(poiConfig, coordinates);
+      const { pois, foundPois } = await getNearbyPois(
+        poiConfig,
+        coordinates,
+        boundary
+      );
+      // show the nearest places and the score of the found POIs
+      dispatchPoisLoad(foundPois, poiConfig, coordinates);
       // create markers according to the POIs placed on the map
-      await createMarkers(pois, coordinates);
+      await createMarkers(pois, coordinates, markersConfig, poiConfig.types);
     }
   } catch (error) {
     console.error(error);
@@ -15,8 +15,9 @@
 import { updatePlaceHeader } from "./update-place-header.js";
 import { updatePlaceOverview } from "./update-place-overview.js";
 import { updatePlaceReviews } from "./update-place-reviews.js";
+import { updatePlaceProperties } from "./update-place-properties.js";
 
-import { getPlaceDetails } from "../utils/places.js";
+import { getPoiDetails } from "../utils/pois.js";
 import { setSelectedMarker } from "../utils/create-markers.js";
 
 const baseSidebar = document.getElementById("sidebar").cloneNode(true); // empty sidebar state for resetting purposes
@@ -90,7 +91,7 @@ function addCloseButtonListener(entity) {
 /**
  * Adds sidebar elements for a given place.
  *
- * @param {string} placeId - The place-id of a given location.
+ * @param {string} placeId - The POI ID of a given location (e.g. the place ID).
  * @param {Cesium.Billboard} entity - The entity of a given location.
  */
 export async function updateSidebarElements(placeId) {
@@ -100,10 +101,18 @@ export async function updateSidebarElements(placeId) {
   // add an event listener to handle the close button click
   addCloseButtonListener();
 
-  // get all place details to be displayed in the sidebar
-  const placeDetails = await getPlaceDetails(placeId);
+  // get all place details to be displayed in the sidebar from the POI provider
+  const placeDetails = await getPoiDetails(placeId);
 
   updatePlaceHeader(placeDetails);
   updatePlaceOverview(placeDetails);
-  updatePlaceReviews(placeDetails.reviews);
+
+  // POIs from files have properties instead of reviews
+  if (placeDetails.properties) {
+    updatePlaceProperties(placeDetails.properties);
+    document.querySelector(".reviews-section").remove();
+  } else {
+    document.querySelector(".place-properties").remove();
+    updatePlaceReviews(placeDetails.reviews);
+  }
 }
@@ -21,18 +21,18 @@ import {
 /**
  * Updates the UI elements in the place header with information from the provided place details.
  *
- * @param {Object} placeDetails - Details of the place, including name, photos, rating, user ratings total, and types.
+ * @param {PoiDetails} placeDetails - Details of the place, including name, photo, rating, user ratings total, and types.
  */
 export const updatePlaceHeader = (placeDetails) => {
   // Update place image element or remove it if placeDetails photos don't exist
   const placeImageElement = document.querySelector(".place-image");
 
-  if (placeDetails.photos) {
-    // If photos exist, update image source and alt text
-    placeImageElement.src = placeDetails.photos[0].getUrl();
+  if (placeDetails.photoUrl) {
+    // If a photo exists, update image source and alt text
+    placeImageElement.src = placeDetails.photoUrl;
     placeImageElement.alt = placeDetails.name;
   } else {
-    // If no photos exist, remove the image element
+    // If no photo exists, remove the image element
     placeImageElement.remove();
   }
 
@@ -41,7 +41,7 @@ export const updatePlaceHeader = (placeDetails) => {
   placeNameElement.textContent = placeDetails.name;
 
   // Rating values might be undefined
-  if (placeDetails.rating && placeDetails.user_ratings_total) {
+  if (placeDetails.rating && placeDetails.userRatingsTotal) {
     // Update rating value as number
     const ratingNumberElement = document.querySelector(
       ".rating-overview-number"
@@ -57,12 +57,14 @@ export const updatePlaceHeader = (placeDetails) => {
     const totalReviewsElement = document.querySelector(
       ".rating-overview-total"
     );
-    totalReviewsElement.textContent = placeDetails.user_ratings_total
-      ? `(${placeDetails.user_ratings_total.toLocaleString()})`
+    totalReviewsElement.textContent = placeDetails.userRatingsTotal
+      ? `(${placeDetails.userRatingsTotal.toLocaleString()})`
       : "";
   }
 
   // Update place type
   const placeTypeElement = document.querySelector(".place-type");
-  placeTypeElement.textContent = placeTypes[placeDetails.types[0]];
+  // Custom POI providers may use types which are not known place types
+  const [type] = placeDetails.types;
+  placeTypeElement.textContent = placeTypes[type] ?? type ?? "";
 };
@@ -19,7 +19,7 @@
  * of placeDetails is undefined, the corresponding section will not be rendered.
  * If no data is available, the sidebar is cleared and a disclaimer is displayed.
  *
- * @param {google.maps.places.PlaceResult} placeDetails - The details of the place to create an overview for.
+ * @param {PoiDetails} placeDetails - The details of the place to create an overview for.
  */
 export const updatePlaceOverview = (placeDetails) => {
   const placeOverviewElement = document.querySelector(".place-overview");
@@ -28,7 +28,7 @@ export const updatePlaceOverview = (placeDetails) => {
   }
 
   // Populate different sections of the place overview
-  if (placeDetails.formatted_address) {
+  if (placeDetails.address) {
     populateAddress(placeOverviewElement, placeDetails);
   } else {
     removeElement(".address");
@@ -40,13 +40,13 @@ export const updatePlaceOverview = (placeDetails) => {
     removeElement(".website");
   }
 
-  if (placeDetails.formatted_phone_number) {
+  if (placeDetails.phoneNumber) {
     populatePhone(placeOverviewElement, placeDetails);
   } else {
     removeElement(".phone");
   }
 
-  if (placeDetails.opening_hours) {
+  if (placeDetails.openingHours) {
     populateOpeningHours(placeOverviewElement, placeDetails);
   } else {
     removeElement(".opening-hours");
@@ -57,24 +57,24 @@ export const updatePlaceOverview = (placeDetails) => {
  * Populates the address section of the place overview.
  *
  * @param {Element} container - The container element for the place overview.
- * @param {google.maps.places.PlaceResult} placeDetails - The details of the place.
+ * @param {PoiDetails} placeDetails - The details of the place.
  */
 const populateAddress = (container, placeDetails) => {
   const placeAddress = container.querySelector(".address > p");
 
-  placeAddress.innerText = placeDetails.formatted_address;
+  placeAddress.innerText = placeDetails.address;
 };
 
 /**
  * Populates the phone section of the place overview.
  *
  * @param {Element} container - The container element for the place overview.
- * @param {google.maps.places.PlaceResult} placeDetails - The details of the place.
+ * @param {PoiDetails} placeDetails - The details of the place.
  */
 const populatePhone = (container, placeDetails) => {
   const placePhone = container.querySelector(".phone > p");
 
-  placePhone.innerText = placeDetails.formatted_phone_number;
+  placePhone.innerText = placeDetails.phoneNumber;
 };
 
 /**
@@ -82,7 +82,7 @@ const populatePhone = (container, placeDetails) => {
  * Fixed issue with appending elements to a potentially null container.
  *
  * @param {Element} container - The container element for the place overview.
- * @param {google.maps.places.PlaceResult} placeDetails - The details of the place.
+ * @param {PoiDetails} placeDetails - The details of the place.
  */
 const populateOpeningHours = (container, placeDetails) => {
   const openingHoursSummary = container.querySelector(".opening-hours-summary");
@@ -92,22 +92,22 @@ const populateOpeningHours = (container, placeDetails) => {
     return; // Guard against null elements
   }
 
-  const openingHours = placeDetails.opening_hours;
+  const openingHours = placeDetails.openingHours;
   const openingHoursElement = document.createElement("span");
 
-  openingHoursElement.classList.add(openingHours.isOpen() ? "open" : "closed");
-  openingHoursElement.innerText = openingHours.isOpen() ? "Open" : "Closed";
+  openingHoursElement.classList.add(openingHours.isOpen ? "open" : "closed");
+  openingHoursElement.innerText = openingHours.isOpen ? "Open" : "Closed";
   openingHoursSummary.appendChild(openingHoursElement);
 
   // Calculate the day of the week
   const dayOfTheWeek = (new Date().getDay() - 1 + 7) % 7;
 
-  for (const [weekday, text] of openingHours.weekday_text.entries()) {
+  for (const [weekday, text] of openingHours.weekdayText.entries()) {
     appendOpeningHoursDetail(
       openingHoursDetails,
       text,
       weekday === dayOfTheWeek,
-      openingHours.isOpen()
+      openingHours.isOpen
     );
   }
 };
@@ -154,7 +154,7 @@ const appendOpeningHoursDetail = (container, text, isToday, isOpenToday) => {
  * the website property might be undefined.
  *
  * @param {Element} container - The container element for the place overview.
- * @param {google.maps.places.PlaceResult} placeDetails - The details of the place.
+ * @param {PoiDetails} placeDetails - The details of the place.
  */
 const populateWebsite = (container, placeDetails) => {
   const placeWebsiteLink = container.querySelector(".website > a");
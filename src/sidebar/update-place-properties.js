@@ -0,0 +1,53 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Properties which are already shown in the sidebar header or only style the marker.
+ */
+const HIDDEN_PROPERTIES = ["name", "icon", "color", "photo"];
+
+/**
+ * Lists the properties of a POI from a file (e.g. the columns of a CSV row) in the sidebar.
+ * If there are no properties to show, the section is removed.
+ *
+ * @param {Object<string, *>} properties - The properties of the POI.
+ */
+export const updatePlaceProperties = (properties) => {
+  const propertiesSection = document.querySelector(".place-properties");
+  const propertiesList = propertiesSection.querySelector(
+    ".place-properties-list"
+  );
+
+  const entries = Object.entries(properties).filter(
+    ([key, value]) =>
+      !HIDDEN_PROPERTIES.includes(key) && value !== null && value !== ""
+  );
+
+  if (!entries.length) {
+    propertiesSection.remove();
+    return;
+  }
+
+  for (const [key, value] of entries) {
+    const termElement = document.createElement("dt");
+    termElement.textContent = key;
+
+    // use textContent as the values come from external files
+    const valueElement = document.createElement("dd");
+    valueElement.textContent =
+      typeof value === "object" ? JSON.stringify(value) : String(value);
+
+    propertiesList.append(termElement, valueElement);
+  }
+};
@@ -19,7 +19,7 @@ import {
 
 /**
  * Creates and appends review elements to the reviews container.
- * @param {Array} placeReviews - An array of place reviews.
+ * @param {PoiDetails["reviews"]} placeReviews - An array of place reviews.
  */
 export const updatePlaceReviews = (placeReviews) => {
   const reviewContainerElement = document.querySelector(
@@ -44,10 +44,10 @@ export const updatePlaceReviews = (placeReviews) => {
 /**
  * Creates a review element with the given review data.
  * @param {Object} review - The review data.
- * @param {string} review.author_name - The username of the reviewer.
+ * @param {string} review.authorName - The username of the reviewer.
  * @param {string} review.text - The content of the review.
  * @param {string} review.rating - The date of the review.
- * @param {string} review.relative_time_description - The description of the date of the review.
+ * @param {string} review.relativeTimeDescription - The description of the date of the review.
  * @returns {HTMLElement} The review element.
  */
 function createReviewElement(review) {
@@ -57,7 +57,7 @@ function createReviewElement(review) {
 
   const userNameElement = document.createElement("span");
   userNameElement.classList.add("username");
-  userNameElement.textContent = review.author_name;
+  userNameElement.textContent = review.authorName;
 
   const ratingInfoElement = document.createElement("div");
   ratingInfoElement.classList.add("rating-info-container");
@@ -71,7 +71,7 @@ function createReviewElement(review) {
   ratingInfoElement.appendChild(reviewContentElement);
 
   const dateElement = document.createElement("span");
-  dateElement.textContent = review.relative_time_description;
+  dateElement.textContent = review.relativeTimeDescription;
 
   ratingInfoElement.appendChild(dateElement);
 
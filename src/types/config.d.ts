@@ -12,23 +12,207 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+// Optional values are filled in with their defaults when the config is loaded
+// (see `CONFIG_SCHEMA` in `src/utils/config-validation.js`).
 export interface NeighbourhoodDiscoveryConfig {
-  location: LocationConfig;
+  version?: number; // the config structure version, older versions are migrated, default: the current version
+  location: LocationConfig | LocationEntry[];
+  poi?: PoiConfig;
+  camera?: CameraConfig;
+  markers?: MarkersConfig;
+  score?: ScoreConfig;
+  rings?: RingsConfig;
+  boundaryStyle?: BoundaryStyleConfig;
+  tours?: TourConfig[];
+  story?: StoryConfig;
+  kiosk?: KioskConfig;
+}
+
+// The config for the selected location, see `resolveLocationConfig` in `src/utils/config.js`
+export interface ResolvedConfig extends NeighbourhoodDiscoveryConfig {
+  location: LocationEntry;
   poi: PoiConfig;
   camera: CameraConfig;
+  markers: MarkersConfig;
+  score: ScoreConfig;
+  rings: RingsConfig;
+  boundaryStyle: BoundaryStyleConfig;
+  tours: TourConfig[];
+  story: StoryConfig;
+  kiosk: KioskConfig;
 }
 
 interface LocationConfig {
   coordinates: google.maps.LatLngLiteral;
+  // the outline of the neighbourhood or parcel, a string is the URL of a GeoJSON file
+  boundary?: string | BoundaryGeoJson;
+}
+
+// A GeoJSON Polygon or MultiPolygon, also as Feature or in a FeatureCollection
+interface BoundaryGeoJson {
+  type: "Polygon" | "MultiPolygon" | "Feature" | "FeatureCollection";
+  coordinates?: number[][][] | number[][][][]; // [lng, lat] positions of Polygon and MultiPolygon
+  geometry?: BoundaryGeoJson; // of a Feature
+  features?: BoundaryGeoJson[]; // of a FeatureCollection
+  properties?: object;
+}
+
+// One of multiple locations, which can be selected with the location switcher on the map
+interface LocationEntry extends LocationConfig {
+  name: string; // unique, used in the URL (e.g. `#location=office`)
+  label?: string; // shown in the location switcher, default: the name
+  poi?: PoiConfig; // overrides of the `poi` config for this location
+  camera?: CameraConfig; // overrides of the `camera` config for this location
 }
 
 interface PoiConfig {
-  types: string[];
-  searchRadius: number; // in meters
-  density: number;
+  types?: string[]; // default: []
+  searchRadius?: number; // in meters, 1 to 50000, default: 1000
+  density?: number; // integer of at least 1, default: 30
+  provider?: PoiProviderConfig; // default: { type: "places" }
+  sources?: (string | PoiSourceConfig)[]; // files with own POIs shown in addition, default: []
+  withinBoundary?: boolean; // whether only POIs within the `location.boundary` are shown, default: false
+}
+
+interface PoiProviderConfig {
+  // "places": Google Places API, "geojson": static GeoJSON file, "rest": custom REST endpoint
+  type?: "places" | "geojson" | "rest"; // default: "places"
+  url?: string; // required for "geojson" and "rest"
+}
+
+// A GeoJSON, CSV or KML file with own POIs, a string is the URL of the file
+interface PoiSourceConfig {
+  url: string;
+  format?: "geojson" | "csv" | "kml"; // default: derived from the file extension
 }
 
 interface CameraConfig {
-  orbitType: "fixed-orbit" | "dynamic-orbit";
-  speed: number; // in revolutions per minute
+  orbitType?:
+    | "fixed-orbit"
+    | "dynamic-orbit"
+    | "spiral"
+    | "elliptical-orbit"
+    | "poi-hopping"
+    | "flyover"; // default: "dynamic-orbit"
+  speed?: number; // in revolutions per minute, at least 0, default: 1
+  pitchAmplitude?: number; // of the dynamic orbit in degrees, 0 to 45, default: 10
+  rangeAmplitude?: number; // of the dynamic orbit relative to the start range, 0 to 0.9, default: 0.55
+  // the ranges in meters and the revolutions from one range to the other, default: 300, 1500 and 2
+  spiral?: { minRange?: number; maxRange?: number; revolutions?: number };
+  // the semi-axes on the ground in meters and the direction of the major axis in degrees, default: 1200, 600 and 0
+  ellipse?: { majorAxis?: number; minorAxis?: number; rotation?: number };
+  poiHopping?: { hopDuration?: number }; // in seconds per POI, default: 20
+  // the closed path and the speed in meters per second, default: [] and 20
+  flyover?: { path?: google.maps.LatLngLiteral[]; speed?: number };
+}
+
+interface MarkersConfig {
+  scale?: number; // the size of the markers relative to their image, 0.1 to 2, default: 0.744
+  selectedScale?: number; // the size of the selected marker, 0.1 to 2, default: 1
+  color?: string; // CSS color of markers without a color of the provider or `types`, default: "#7B9EB0"
+  lineColor?: string; // CSS color of the line between marker and ground, default: "#FFFFFF"
+  label?: {
+    fontFamily?: string; // default: "Google Sans, Roboto, sans-serif"
+    fontSize?: number; // in pixels, default: 20
+  };
+  // the icon and color by place type, e.g. `{ "bar": { "icon": "assets/icons/poi/bar.svg" } }`, default: {}
+  types?: Record<string, { icon?: string; color?: string }>;
+  // the line from the center to the selected marker, labeled with the distance and the walking time
+  distanceLine?: {
+    units?: "metric" | "imperial"; // default: "metric"
+    walkingSpeed?: number; // in meters per second, default: 1.4
+    color?: string; // CSS color of the line and the label, default: "#1A73E8"
+  };
+}
+
+// The neighbourhood score of the center location, see `src/utils/neighbourhood-score.js`
+interface ScoreConfig {
+  decay?: ScoreDecayConfig; // default: {}
+  // the scored categories, default: [] (all `poi.types` with the same weight)
+  categories?: ScoreCategoryConfig[];
+}
+
+interface ScoreDecayConfig {
+  curve?: "linear" | "exponential" | "step"; // default: "linear"
+  fullDistance?: number; // in meters, places within count fully, default: 400
+  maxDistance?: number; // in meters, places beyond don't count, default: 1600
+}
+
+interface ScoreCategoryConfig {
+  type: string; // a place type, unique
+  weight?: number; // at least 0, default: 1
+  count?: number; // places needed for the full coverage, integer of at least 1, default: 1
+  decay?: ScoreDecayConfig; // overrides of the `decay` config
+}
+
+// The rings on the ground around the center, see `src/utils/distance-rings.js`
+interface RingsConfig {
+  enabled?: boolean; // default: false
+  searchRadius?: boolean; // whether the `poi.searchRadius` is drawn, default: true
+  // additional rings, the `distance` in meters is used before the walking time in `minutes`, default: []
+  bands?: { distance?: number; minutes?: number; label?: string }[];
+  color?: string; // CSS color of the rings, default: "#FFFFFF"
+}
+
+// The style of the `location.boundary`, see `src/utils/boundary.js`
+interface BoundaryStyleConfig {
+  color?: string; // CSS color of the outline and the walls, default: "#FFFFFF"
+  width?: number; // of the outline in pixels, at least 1, default: 3
+  walls?: {
+    enabled?: boolean; // default: false
+    height?: number; // in meters above the ground, at least 1, default: 30
+    opacity?: number; // 0 to 1, default: 0.3
+  };
+}
+
+// A camera tour along keyframes, see `src/utils/camera-tour.js`
+interface TourConfig {
+  name: string; // unique
+  label?: string; // shown in the tour list, default: the name
+  loop?: boolean; // whether the tour starts again when it ends, default: false
+  keyframes: TourKeyframeConfig[]; // at least one
+}
+
+interface TourKeyframeConfig {
+  coordinates: google.maps.LatLngLiteral; // the point the camera looks at
+  heading?: number; // in degrees clockwise from north, default: 0
+  pitch?: number; // in degrees, -90 to 0, default: -30
+  range?: number; // the distance of the camera in meters, at least 1, default: 800
+  duration?: number; // the seconds to move from the previous keyframe, of the first keyframe: the flight to the start, default: 3
+  easing?: "linear" | "ease-in" | "ease-out" | "ease-in-out"; // default: "ease-in-out"
+  poi?: string; // the place ID of a POI which is selected when the keyframe is reached
+}
+
+// A guided tour over POIs and other places, see `src/utils/story.js`
+interface StoryConfig {
+  dwell?: number; // the seconds at a stop before the story moves on, at least 1, default: 10
+  flightDuration?: number; // the seconds of the flight to a stop, default: 3
+  range?: number; // the distance of the camera to a stop in meters, at least 1, default: 300
+  openSidebar?: boolean; // whether the details of a POI are shown in the sidebar, default: false
+  stops?: StoryStopConfig[]; // default: []
+}
+
+// A stop is either a POI (`poi`) or another place (`coordinates`)
+interface StoryStopConfig {
+  poi?: string; // the place ID of a POI
+  coordinates?: google.maps.LatLngLiteral;
+  title?: string; // the title of the caption, default: the name of the POI
+  text?: string; // the narrative text of the caption
+  dwell?: number; // overrides the `dwell` config
+  range?: number; // overrides the `range` config
+}
+
+// Resets unattended screens after a time without interaction, see `src/utils/kiosk.js`
+interface KioskConfig {
+  enabled?: boolean; // default: false
+  idleTimeout?: number; // the seconds without interaction until the reset, at least 5, default: 120
+  attractLoop?: KioskAttractLoopConfig;
+}
+
+// Cycles through the highlighted POIs after the reset until someone interacts with the map
+interface KioskAttractLoopConfig {
+  enabled?: boolean; // default: false
+  pois?: string[]; // the place IDs of the highlighted POIs, default: [] (all POIs shown on the map)
+  interval?: number; // the seconds at a POI including the flight, at least 5, default: 15
+  range?: number; // the distance of the camera to a POI in meters, at least 1, default: 300
 }
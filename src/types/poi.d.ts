@@ -0,0 +1,77 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// The normalized POI model used by the markers and the sidebar, independent of the POI provider
+interface Poi {
+  id: string; // unique per provider, e.g. the place ID
+  name: string;
+  coordinates: google.maps.LatLngLiteral;
+  types: string[]; // the first type is shown as category
+  rating?: number; // 0 to 5
+  userRatingsTotal?: number;
+  isOpen?: boolean; // whether the place is open at the time of the search, if the provider knows it
+  iconUrl?: string; // URL of the SVG icon shown on the marker
+  iconBackgroundColor?: string; // CSS color of the marker
+}
+
+// The details of a POI shown in the sidebar
+interface PoiDetails extends Poi {
+  photoUrl?: string;
+  address?: string;
+  website?: string;
+  phoneNumber?: string;
+  openingHours?: {
+    isOpen?: boolean;
+    weekdayText: string[]; // e.g. "Monday: 9:00 AM – 5:00 PM"
+  };
+  reviews?: {
+    authorName: string;
+    rating: number;
+    text: string;
+    relativeTimeDescription: string;
+  }[];
+  properties?: Record<string, unknown>; // the raw properties of POIs from files
+}
+
+// A source of POIs, see `src/utils/poi-providers.js` and `placesProvider` in `src/utils/places.js`
+interface PoiProvider {
+  // Returns the POIs of the given types within the radius (in meters) around the center
+  search(
+    center: google.maps.LatLngLiteral,
+    radius: number,
+    types: string[]
+  ): Promise<Poi[]>;
+  // Returns the details of a POI found by `search`
+  getDetails(id: string): Promise<PoiDetails>;
+}
+
+// The icon and color of a marker, see `getMarkerStyle` in `src/utils/marker-theme.js`
+interface MarkerStyle {
+  iconUrl?: string; // URL of the SVG icon
+  fallbackIconUrl?: string; // URL of the local SVG icon used if the icon can't be loaded
+  color: string; // CSS color of the marker
+}
+
+// The neighbourhood score of the center location, see `src/utils/score-calculation.js`
+interface NeighbourhoodScore {
+  score: number; // 0 to 100
+  centerCoordinates: google.maps.LatLngLiteral;
+  categories: {
+    type: string;
+    weight: number;
+    places: number; // the number of places within the max distance
+    coverage: number; // 0 to 1
+    points: number; // the share of the category in the score
+  }[];
+}
@@ -0,0 +1,287 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {
+  autoOrbitController,
+  performFlyTo,
+  transitionAutoOrbit,
+  updateZoomControl,
+} from "./cesium.js";
+import {
+  getChangedConfigPaths,
+  resolveLocationConfig,
+  updateConfig,
+} from "./config.js";
+import createMarkers, { getMarkerPois } from "./create-markers.js";
+import { dispatchPoisLoad, getNearbyPois } from "./pois.js";
+
+/**
+ * The current configuration of the app. It is replaced (not modified) by `applyConfig`,
+ * so every configuration object stays deep-frozen.
+ * @type {NeighbourhoodDiscoveryConfig}
+ */
+export let config = null;
+
+/**
+ * The current configuration for the selected location (see `resolveLocationConfig`),
+ * this is the configuration shown on the map.
+ * @type {ResolvedConfig}
+ */
+export let activeConfig = null;
+
+/**
+ * Increased with every marker update, to only render the POIs of the latest update
+ * when multiple requests are running at the same time.
+ * @type {number}
+ */
+let markersUpdateId = 0;
+
+/**
+ * The URL hash parameter holding the name of the selected location.
+ */
+const LOCATION_URL_PARAMETER = "location";
+
+/**
+ * Returns the name of the location selected in the URL (hash or query parameter).
+ *
+ * @returns {string | null} The location name.
+ */
+export function getUrlLocationName() {
+  const hashParams = new URLSearchParams(window.location.hash.replace("#", ""));
+  const queryParams = new URLSearchParams(window.location.search);
+
+  return (
+    hashParams.get(LOCATION_URL_PARAMETER) ??
+    queryParams.get(LOCATION_URL_PARAMETER)
+  );
+}
+
+/**
+ * Sets the name of the selected location as URL hash parameter, so that it can be linked directly.
+ *
+ * @param {string} locationName - The location name.
+ */
+function setUrlLocationName(locationName) {
+  const params = new URLSearchParams(window.location.hash.replace("#", ""));
+
+  params.set(LOCATION_URL_PARAMETER, locationName);
+  window.location.hash = params;
+}
+
+/**
+ * Sets the initial configuration of the app without updating the map.
+ * The initially selected location is read from the URL, otherwise it is the first location.
+ *
+ * @param {NeighbourhoodDiscoveryConfig} initialConfig - The loaded configuration.
+ */
+export function setInitialConfig(initialConfig) {
+  config = initialConfig;
+  activeConfig = resolveLocationConfig(config, getUrlLocationName());
+}
+
+/**
+ * Fetches the POIs around the location and replaces the markers on the map.
+ *
+ * @param {NeighbourhoodDiscoveryConfig} currentConfig - The configuration to fetch the POIs for.
+ */
+async function updateMarkers(currentConfig) {
+  const updateId = ++markersUpdateId;
+  const {
+    location: { coordinates, boundary },
+    poi: poiConfig,
+    markers: markersConfig,
+  } = currentConfig;
+
+  // based on the given main location, fetch the surrounding POIs of the selected categories
+  const { pois, foundPois } = await getNearbyPois(
+    poiConfig,
+    coordinates,
+    boundary
+  );
+
+  // a newer update was started while fetching the POIs
+  if (updateId !== markersUpdateId) {
+    return;
+  }
+
+  // only the POIs of the current location reach the panels
+  dispatchPoisLoad(foundPois, poiConfig, coordinates);
+
+  // update the markers on the map, unchanged markers are kept
+  await createMarkers(pois, coordinates, markersConfig, poiConfig.types);
+}
+
+/**
+ * Updates the auto-orbit with the changed camera configuration.
+ *
+ * @param {CameraConfig} cameraConfig - The new camera configuration.
+ * @param {string[]} changedPaths - The paths of the changed configuration values.
+ */
+async function updateCamera(cameraConfig, changedPaths) {
+  autoOrbitController.setSpeed(cameraConfig.speed);
+  autoOrbitController.setSettings(cameraConfig);
+
+  // the settings of the orbit types (e.g. the flyover path) are used when the auto-orbit starts
+  const hasOrbitChanged = changedPaths.some(
+    (path) => path.startsWith("camera.") && path !== "camera.speed"
+  );
+
+  if (hasOrbitChanged) {
+    autoOrbitController.setType(cameraConfig.orbitType);
+
+    // move the camera smoothly to the start values of the new orbit type
+    if (autoOrbitController.getState().isRunning) {
+      await transitionAutoOrbit();
+    }
+  }
+}
+
+/**
+ * Updates the parts of the map that are affected by the changes between two active configurations.
+ *
+ * @param {ResolvedConfig} previousConfig - The configuration currently shown on the map.
+ * @param {ResolvedConfig} nextConfig - The configuration to show on the map.
+ */
+async function updateMap(previousConfig, nextConfig) {
+  const changedPaths = getChangedConfigPaths(previousConfig, nextConfig);
+
+  // a value can also be replaced as a whole, e.g. a `location.boundary` URL
+  const hasChanged = (section) =>
+    changedPaths.some(
+      (path) => path === section || path.startsWith(`${section}.`)
+    );
+
+  const updates = [];
+
+  if (hasChanged("location.coordinates")) {
+    const { coordinates } = nextConfig.location;
+
+    // move the camera to face the main location's coordinates
+    updates.push(performFlyTo(coordinates));
+    updateZoomControl(coordinates);
+  }
+
+  if (
+    hasChanged("location.coordinates") ||
+    hasChanged("location.boundary") ||
+    hasChanged("poi")
+  ) {
+    updates.push(updateMarkers(nextConfig));
+  } else if (hasChanged("markers")) {
+    // restyle the shown markers without fetching the POIs again
+    const { pois, centerCoordinates } = getMarkerPois();
+    updates.push(
+      createMarkers(
+        pois,
+        centerCoordinates,
+        nextConfig.markers,
+        nextConfig.poi.types
+      )
+    );
+  }
+
+  if (hasChanged("camera")) {
+    updates.push(updateCamera(nextConfig.camera, changedPaths));
+  }
+
+  await Promise.all(updates);
+}
+
+/**
+ * Applies a (partial) configuration to the running app.
+ *
+ * The configuration is deep merged into the current one and validated. With a list of locations,
+ * a `location` object is merged into the selected location (see `mergeConfig`). Afterwards only the
+ * parts of the map that are affected by the changed values are updated:
+ * - `location.*`: the camera flies to the new location and the POIs are fetched again
+ * - `poi.*`: the POIs are fetched again and the markers are replaced
+ * - `camera.*`: the speed and type of the auto-orbit are updated
+ * - `markers.*`: the markers are restyled
+ *
+ * Once the new configuration is set, a `configchange` event is dispatched on the `window`
+ * with the new `config`, the `previousConfig` and the `changedPaths` as detail.
+ *
+ * @param {Partial<NeighbourhoodDiscoveryConfig>} partialConfig - The configuration values to change.
+ * @returns {Promise<NeighbourhoodDiscoveryConfig>} The new configuration, resolved once the map is updated.
+ *
+ * @throws {Error} If the resulting configuration is invalid. The current configuration is kept in this case.
+ *
+ * @example
+ * window.addEventListener("configchange", (event) => {
+ *   console.log("Changed:", event.detail.changedPaths);
+ * });
+ * await applyConfig({ camera: { speed: 2 } }); // Changed: ["camera.speed"]
+ */
+export async function applyConfig(partialConfig) {
+  const previousConfig = config;
+  const nextConfig = updateConfig(
+    previousConfig,
+    partialConfig,
+    activeConfig.location.name
+  );
+  const changedPaths = getChangedConfigPaths(previousConfig, nextConfig);
+
+  if (!changedPaths.length) {
+    return config;
+  }
+
+  const previousActiveConfig = activeConfig;
+
+  config = nextConfig;
+  // keep the selected location if it still exists
+  activeConfig = resolveLocationConfig(config, activeConfig.location.name);
+
+  window.dispatchEvent(
+    new CustomEvent("configchange", {
+      detail: { config, previousConfig, changedPaths },
+    })
+  );
+
+  await updateMap(previousActiveConfig, activeConfig);
+
+  return config;
+}
+
+/**
+ * Selects one of the locations of the configuration. The camera flies to the location
+ * and its POIs are fetched, using the `poi` and `camera` overrides of the location.
+ * The name of the location is set as URL hash parameter (e.g. `#location=office`).
+ *
+ * A `locationchange` event is dispatched on the `window` with the new `location`
+ * and the `previousLocation` as detail.
+ *
+ * @param {string} locationName - The name of the location to select.
+ */
+export async function selectLocation(locationName) {
+  const previousActiveConfig = activeConfig;
+  const nextActiveConfig = resolveLocationConfig(config, locationName);
+
+  if (nextActiveConfig.location.name === previousActiveConfig.location.name) {
+    return;
+  }
+
+  activeConfig = nextActiveConfig;
+  setUrlLocationName(activeConfig.location.name);
+
+  window.dispatchEvent(
+    new CustomEvent("locationchange", {
+      detail: {
+        location: activeConfig.location,
+        previousLocation: previousActiveConfig.location,
+      },
+    })
+  );
+
+  await updateMap(previousActiveConfig, activeConfig);
+}
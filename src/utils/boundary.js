@@ -0,0 +1,258 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// The `location.boundary` outlines the neighbourhood or parcel of a location.
+// It is a GeoJSON Polygon or MultiPolygon (inline or as URL), which is drawn on the ground
+// with optional walls and can restrict the POIs to the area (see `poi.withinBoundary`).
+
+import { activeConfig } from "./app.js";
+import {
+  cesiumViewer,
+  clampCoordinatesToGround,
+  getCesiumColor,
+} from "./cesium.js";
+
+// The prefix of the boundary entity IDs, which can't collide with POI IDs
+const BOUNDARY_ID_PREFIX = "boundary:";
+
+/**
+ * The loaded boundary files by URL
+ * @type {Map<string, Promise<Object>>}
+ */
+const boundaryFileCache = new Map();
+
+/**
+ * The IDs of the boundary entities currently on the map
+ * @type {string[]}
+ */
+let boundaryEntityIds = [];
+
+/**
+ * The ID of the latest `updateBoundary` call, to discard the boundary of outdated calls
+ * @type {number}
+ */
+let boundaryUpdateId = 0;
+
+/**
+ * Fetches a GeoJSON boundary file, each URL is only fetched once.
+ *
+ * @param {string} url - The URL of the GeoJSON file.
+ * @returns {Promise<Object>} The GeoJSON object.
+ * @throws {Error} If the file can't be fetched.
+ */
+function fetchBoundaryFile(url) {
+  if (!boundaryFileCache.has(url)) {
+    const filePromise = fetch(url).then((response) => {
+      if (!response.ok) {
+        throw new Error(`Failed to fetch the boundary from ${url}.`);
+      }
+      return response.json();
+    });
+
+    // Allow to fetch the file again after a failed request
+    filePromise.catch(() => boundaryFileCache.delete(url));
+    boundaryFileCache.set(url, filePromise);
+  }
+
+  return boundaryFileCache.get(url);
+}
+
+/**
+ * Returns the polygons of a GeoJSON object.
+ * Polygons are lists of rings, the first ring is the outline and the others are holes.
+ * Each ring is a list of `[lng, lat]` positions.
+ *
+ * @param {Object} geoJson - A Polygon, MultiPolygon, Feature or FeatureCollection.
+ * @returns {number[][][][]} The polygons.
+ * @throws {Error} If the GeoJSON contains no polygons.
+ */
+function getPolygons(geoJson) {
+  switch (geoJson?.type) {
+    case "Polygon":
+      return [geoJson.coordinates];
+    case "MultiPolygon":
+      return geoJson.coordinates;
+    case "Feature":
+      return getPolygons(geoJson.geometry);
+    case "FeatureCollection":
+      return (geoJson.features ?? []).flatMap(getPolygons);
+    default:
+      throw new Error(
+        `location.boundary: expected a Polygon or MultiPolygon, got ${JSON.stringify(
+          geoJson?.type
+        )}`
+      );
+  }
+}
+
+/**
+ * Loads the polygons of a `location.boundary` config.
+ *
+ * @param {string | Object} boundary - The GeoJSON object or the URL of a GeoJSON file.
+ * @returns {Promise<number[][][][]>} The polygons, see `getPolygons`.
+ * @throws {Error} If the file can't be loaded or contains no polygons.
+ */
+export async function loadBoundary(boundary) {
+  const geoJson =
+    typeof boundary === "string" ? await fetchBoundaryFile(boundary) : boundary;
+  const polygons = getPolygons(geoJson);
+
+  const isValid = polygons.every(
+    (rings) =>
+      Array.isArray(rings) &&
+      rings.length > 0 &&
+      rings.every(
+        (ring) =>
+          Array.isArray(ring) &&
+          ring.length >= 4 &&
+          ring.every(
+            (position) =>
+              Array.isArray(position) &&
+              Number.isFinite(position[0]) &&
+              Number.isFinite(position[1])
+          )
+      )
+  );
+
+  if (!polygons.length || !isValid) {
+    throw new Error(
+      "location.boundary: expected polygons of closed rings with [lng, lat] positions"
+    );
+  }
+
+  return polygons;
+}
+
+/**
+ * Returns the heights of the ground (e.g. the rooftops) below the positions of a ring.
+ *
+ * @param {number[][]} ring - The `[lng, lat]` positions of the ring.
+ * @returns {Promise<number[]>} The heights in meters, 0 where no ground is loaded.
+ */
+async function getGroundHeights(ring) {
+  const positions = await clampCoordinatesToGround(
+    ring.map(([lng, lat]) => ({ lat, lng }))
+  );
+
+  return positions.map(({ height }) => height);
+}
+
+/**
+ * Adds the outline of a ring to the map, with walls if given.
+ *
+ * @param {Cesium.Cartesian3[]} positions - The positions of the ring.
+ * @param {number[] | null} groundHeights - The ground heights of the walls, `null` for no walls.
+ * @param {BoundaryStyleConfig} boundaryStyle - The `boundaryStyle` config.
+ * @param {Cesium.Color} color - The color of the outline and the walls.
+ */
+function addBoundaryRing(positions, groundHeights, boundaryStyle, color) {
+  const ringId = `${BOUNDARY_ID_PREFIX}${boundaryEntityIds.length}`;
+
+  cesiumViewer.entities.add({
+    id: ringId,
+    polyline: {
+      positions,
+      clampToGround: true,
+      width: boundaryStyle.width,
+      material: color,
+    },
+  });
+  boundaryEntityIds.push(ringId);
+
+  if (!groundHeights) {
+    return;
+  }
+
+  const wallId = `${ringId}:wall`;
+
+  cesiumViewer.entities.add({
+    id: wallId,
+    wall: {
+      positions,
+      minimumHeights: groundHeights,
+      maximumHeights: groundHeights.map(
+        (height) => height + boundaryStyle.walls.height
+      ),
+      material: color.withAlpha(boundaryStyle.walls.opacity),
+    },
+  });
+  boundaryEntityIds.push(wallId);
+}
+
+/**
+ * Draws the `location.boundary` of the selected location with the `boundaryStyle` config,
+ * replacing the previous boundary. Nothing is drawn if the location has no boundary.
+ *
+ * @throws {Error} If the boundary can't be loaded or contains no polygons.
+ */
+export async function updateBoundary() {
+  const updateId = ++boundaryUpdateId;
+  const { boundary } = activeConfig.location;
+  const { boundaryStyle } = activeConfig;
+
+  const polygons = boundary ? await loadBoundary(boundary) : [];
+  const ringCoordinates = polygons.flat();
+  const rings = ringCoordinates.map((ring) =>
+    Cesium.Cartesian3.fromDegreesArray(ring.flatMap(([lng, lat]) => [lng, lat]))
+  );
+
+  // The walls start on top of the ground (e.g. a rooftop) like the markers
+  const groundHeights = boundaryStyle.walls.enabled
+    ? await Promise.all(ringCoordinates.map(getGroundHeights))
+    : [];
+
+  // The boundary was updated again in the meantime
+  if (updateId !== boundaryUpdateId) {
+    return;
+  }
+
+  boundaryEntityIds.forEach((id) => cesiumViewer.entities.removeById(id));
+  boundaryEntityIds = [];
+
+  const color = getCesiumColor(boundaryStyle.color);
+
+  rings.forEach((positions, index) =>
+    addBoundaryRing(
+      positions,
+      groundHeights[index] ?? null,
+      boundaryStyle,
+      color
+    )
+  );
+}
+
+/**
+ * Draws the boundary and keeps it up to date with the config and the selected location.
+ */
+export function createBoundary() {
+  const handleUpdate = () =>
+    updateBoundary().catch((error) => console.error(error));
+
+  handleUpdate();
+
+  window.addEventListener("configchange", (event) => {
+    // with a list of locations, the changed paths only contain `location`
+    const hasBoundaryChanged = event.detail.changedPaths.some(
+      (path) =>
+        path === "location" ||
+        path.startsWith("location.") ||
+        path.startsWith("boundaryStyle.")
+    );
+
+    if (hasBoundaryChanged) {
+      handleUpdate();
+    }
+  });
+  window.addEventListener("locationchange", handleUpdate);
+}
@@ -0,0 +1,694 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Camera tours are scripted flights along keyframes (see the `tours` config).
+// Each keyframe is the point the camera looks at with the heading, pitch and range of the camera,
+// the camera moves between two keyframes within the `duration` of the second one.
+// Tours can be recorded from the current camera and exported as JSON for the config.
+
+import { activeConfig, applyConfig, config } from "./app.js";
+import {
+  autoOrbitController,
+  cesiumViewer,
+  clampCoordinatesToGround,
+} from "./cesium.js";
+import { setSelectedMarker } from "./create-markers.js";
+import { downloadFile } from "./download.js";
+import { createTextButton, getMapPanelColumn } from "./map-panels.js";
+
+// Easing functions for a progress from 0 to 1
+const EASINGS = {
+  linear: (t) => t,
+  "ease-in": (t) => t * t,
+  "ease-out": (t) => t * (2 - t),
+  "ease-in-out": (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+};
+
+/**
+ * The playback of the current tour, `null` if no tour is played
+ * @type {{
+ *   tour: TourConfig,
+ *   keyframes: TourKeyframeConfig[],
+ *   centers: Cesium.Cartographic[],
+ *   keyframeTimes: number[],
+ *   time: number,
+ *   isPaused: boolean,
+ *   highlightedPoi: string | null
+ * } | null}
+ */
+let playback = null;
+
+/**
+ * The ID of the latest `playTour` call, to discard outdated calls which are still loading
+ * @type {number}
+ */
+let playbackId = 0;
+
+/**
+ * @type {number} The current animation frame id of the playback
+ */
+let tourAnimationFrameId = 0;
+
+/**
+ * The keyframes captured since `startTourRecording`, `null` if no tour is recorded
+ * @type {TourKeyframeConfig[] | null}
+ */
+let recordedKeyframes = null;
+
+/**
+ * Returns the state of the current tour.
+ *
+ * @returns {{name: string, time: number, duration: number, isPaused: boolean} | null}
+ * The name of the tour and the playback time and duration in seconds, or `null` if no tour is played.
+ */
+export function getTourState() {
+  if (!playback) {
+    return null;
+  }
+
+  const { tour, keyframeTimes, time, isPaused } = playback;
+
+  return {
+    name: tour.name,
+    time,
+    duration: keyframeTimes[keyframeTimes.length - 1],
+    isPaused,
+  };
+}
+
+/**
+ * Dispatches the `tourchange` event on `window` with the state of the current tour.
+ */
+function dispatchTourChange() {
+  window.dispatchEvent(
+    new CustomEvent("tourchange", { detail: { state: getTourState() } })
+  );
+}
+
+/**
+ * Returns the time of each keyframe in seconds from the first keyframe.
+ *
+ * @param {TourKeyframeConfig[]} keyframes - The keyframes of the tour.
+ * @returns {number[]} The keyframe times.
+ */
+function getKeyframeTimes(keyframes) {
+  let time = 0;
+
+  return keyframes.map(({ duration }, index) => {
+    // the duration of the first keyframe is the flight to the start of the tour
+    time += index === 0 ? 0 : duration;
+    return time;
+  });
+}
+
+/**
+ * Returns the points the camera looks at on top of the ground (e.g. a rooftop).
+ *
+ * @param {TourKeyframeConfig[]} keyframes - The keyframes of the tour.
+ * @returns {Promise<Cesium.Cartographic[]>} The points of the keyframes.
+ */
+function getKeyframeCenters(keyframes) {
+  return clampCoordinatesToGround(
+    keyframes.map(({ coordinates }) => coordinates)
+  );
+}
+
+/**
+ * Returns the camera at a time of the tour, interpolated between the surrounding keyframes.
+ *
+ * @param {number} time - The time in seconds from the first keyframe.
+ * @returns {{center: Cesium.Cartesian3, offset: Cesium.HeadingPitchRange}} The point the camera looks at
+ * and the offset of the camera.
+ */
+function getTourFrame(time) {
+  const { keyframes, centers, keyframeTimes } = playback;
+
+  // the keyframe the camera moves to, the first keyframe shows the start
+  const nextIndex = Math.max(
+    keyframeTimes.findIndex((keyframeTime) => keyframeTime >= time),
+    0
+  );
+  const previousIndex = Math.max(nextIndex - 1, 0);
+
+  const previous = keyframes[previousIndex];
+  const next = keyframes[nextIndex];
+  const segmentDuration = keyframeTimes[nextIndex] - keyframeTimes[previousIndex];
+  const progress = EASINGS[next.easing](
+    segmentDuration
+      ? (time - keyframeTimes[previousIndex]) / segmentDuration
+      : 1
+  );
+
+  const lerp = (from, to) => from + (to - from) * progress;
+  const previousCenter = centers[previousIndex];
+  const nextCenter = centers[nextIndex];
+
+  // turn in the shorter direction, e.g. from 350° to 10° over north
+  const headingChange = Cesium.Math.negativePiToPi(
+    Cesium.Math.toRadians(next.heading - previous.heading)
+  );
+
+  return {
+    center: Cesium.Cartesian3.fromRadians(
+      lerp(previousCenter.longitude, nextCenter.longitude),
+      lerp(previousCenter.latitude, nextCenter.latitude),
+      lerp(previousCenter.height, nextCenter.height)
+    ),
+    offset: new Cesium.HeadingPitchRange(
+      Cesium.Math.toRadians(previous.heading) + headingChange * progress,
+      Cesium.Math.toRadians(lerp(previous.pitch, next.pitch)),
+      lerp(previous.range, next.range)
+    ),
+  };
+}
+
+/**
+ * Selects the POI of the last reached keyframe, or deselects the POI selected by the tour.
+ */
+function updateHighlightedPoi() {
+  const { keyframes, keyframeTimes, time } = playback;
+  const reachedKeyframes = keyframes.filter(
+    (_, index) => keyframeTimes[index] <= time
+  );
+  const poi = reachedKeyframes[reachedKeyframes.length - 1]?.poi ?? null;
+
+  if (poi === playback.highlightedPoi) {
+    return;
+  }
+
+  // POIs without a marker (e.g. not found at this location) are ignored
+  setSelectedMarker(poi ? cesiumViewer.entities.getById(poi) ?? null : null);
+  playback.highlightedPoi = poi;
+}
+
+/**
+ * Moves the camera to the current time of the tour.
+ */
+function showTourFrame() {
+  const { center, offset } = getTourFrame(playback.time);
+
+  cesiumViewer.camera.flyToBoundingSphere(new Cesium.BoundingSphere(center, 0), {
+    offset,
+    duration: 0,
+  });
+
+  updateHighlightedPoi();
+}
+
+/**
+ * Plays the tour from its current time until it is paused, stopped or ended.
+ */
+function startTourAnimation() {
+  let previousFrameTimestamp = Date.now();
+
+  const calculateTourFrame = () => {
+    // the auto-orbit was started (e.g. with the toggle switch) and takes over the camera
+    if (autoOrbitController.getState().isRunning) {
+      pauseTour();
+      return;
+    }
+
+    const currentTimestamp = Date.now();
+    const { duration } = getTourState();
+
+    playback.time += (currentTimestamp - previousFrameTimestamp) / 1000;
+    previousFrameTimestamp = currentTimestamp;
+
+    if (playback.time >= duration) {
+      if (!playback.tour.loop || !duration) {
+        playback.time = duration;
+        showTourFrame();
+        stopTour();
+        return;
+      }
+
+      playback.time %= duration;
+    }
+
+    showTourFrame();
+
+    tourAnimationFrameId = requestAnimationFrame(calculateTourFrame);
+  };
+
+  tourAnimationFrameId = requestAnimationFrame(calculateTourFrame);
+}
+
+/**
+ * Plays a tour of the `tours` config. The camera flies to the first keyframe and then moves along the others.
+ * The auto-orbit is stopped while the tour is played, a tour which is already played is stopped.
+ *
+ * @param {string} name - The name of the tour.
+ * @returns {Promise<void>} Resolves when the camera reached the first keyframe.
+ * @throws {Error} If there is no tour with the given name.
+ *
+ * @example
+ * window.addEventListener("tourchange", (event) => console.log(event.detail.state));
+ * await playTour("waterfront");
+ */
+export async function playTour(name) {
+  const tour = activeConfig.tours.find((entry) => entry.name === name);
+
+  if (!tour) {
+    throw new Error(`There is no tour named "${name}" in the tours config`);
+  }
+
+  stopTour();
+  autoOrbitController.stop();
+
+  const currentPlaybackId = ++playbackId;
+  const centers = await getKeyframeCenters(tour.keyframes);
+
+  // another tour was played or the tour was stopped in the meantime
+  if (currentPlaybackId !== playbackId) {
+    return;
+  }
+
+  // a loop moves from the last keyframe back to the first one like to any other keyframe,
+  // with the duration and easing of the first keyframe
+  const isLoopClosed = tour.loop && tour.keyframes.length > 1;
+  const keyframes = isLoopClosed
+    ? [...tour.keyframes, tour.keyframes[0]]
+    : tour.keyframes;
+
+  playback = {
+    tour,
+    keyframes,
+    centers: isLoopClosed ? [...centers, centers[0]] : centers,
+    keyframeTimes: getKeyframeTimes(keyframes),
+    time: 0,
+    isPaused: false,
+    highlightedPoi: null,
+  };
+  dispatchTourChange();
+
+  const { center, offset } = getTourFrame(0);
+
+  await new Promise((resolve) =>
+    cesiumViewer.camera.flyToBoundingSphere(
+      new Cesium.BoundingSphere(center, 0),
+      {
+        offset,
+        duration: tour.keyframes[0].duration,
+        complete: resolve,
+        // e.g. the user moved the camera during the flight
+        cancel: resolve,
+      }
+    )
+  );
+
+  if (currentPlaybackId === playbackId && !playback.isPaused) {
+    updateHighlightedPoi();
+    startTourAnimation();
+  }
+}
+
+/**
+ * Pauses the current tour, the camera stays where it is.
+ */
+export function pauseTour() {
+  if (!playback || playback.isPaused) {
+    return;
+  }
+
+  cancelAnimationFrame(tourAnimationFrameId);
+  playback.isPaused = true;
+  dispatchTourChange();
+}
+
+/**
+ * Resumes the paused tour from its current time.
+ */
+export function resumeTour() {
+  if (!playback || !playback.isPaused) {
+    return;
+  }
+
+  autoOrbitController.stop();
+  playback.isPaused = false;
+  showTourFrame();
+  startTourAnimation();
+  dispatchTourChange();
+}
+
+/**
+ * Moves the current tour to a time, e.g. with a slider. A playing tour continues from there.
+ *
+ * @param {number} time - The time in seconds from the first keyframe.
+ */
+export function seekTour(time) {
+  if (!playback) {
+    return;
+  }
+
+  const { duration } = getTourState();
+  playback.time = Math.min(Math.max(time, 0), duration);
+
+  showTourFrame();
+  dispatchTourChange();
+}
+
+/**
+ * Stops the current tour. The camera stays where it is and the POI selected by the tour stays selected.
+ */
+export function stopTour() {
+  // discard a tour which is still loading
+  playbackId++;
+
+  if (!playback) {
+    return;
+  }
+
+  cancelAnimationFrame(tourAnimationFrameId);
+  playback = null;
+  dispatchTourChange();
+}
+
+/**
+ * Starts to record a tour, the keyframes are captured with `recordTourKeyframe`.
+ * A tour which is played is stopped, so that the camera can be moved freely.
+ */
+export function startTourRecording() {
+  stopTour();
+  recordedKeyframes = [];
+}
+
+/**
+ * Returns whether a tour is recorded.
+ *
+ * @returns {boolean} Whether a tour is recorded.
+ */
+export function isTourRecording() {
+  return recordedKeyframes !== null;
+}
+
+/**
+ * Captures the current camera as keyframe of the recorded tour.
+ * The camera looks at the point in the center of the view.
+ *
+ * @param {Partial<TourKeyframeConfig>} [options] - Additional values of the keyframe, e.g. the `duration`.
+ * @returns {TourKeyframeConfig} The keyframe.
+ * @throws {Error} If no tour is recorded or the camera doesn't look at the ground.
+ */
+export function recordTourKeyframe(options = {}) {
+  if (!recordedKeyframes) {
+    throw new Error("Start a tour recording before recording keyframes");
+  }
+
+  const { camera, scene, container } = cesiumViewer;
+  const viewCenter = new Cesium.Cartesian2(
+    Math.round(container.clientWidth / 2),
+    Math.round(container.clientHeight / 2)
+  );
+  const center =
+    scene.pickPosition(viewCenter) ?? camera.pickEllipsoid(viewCenter);
+
+  if (!center) {
+    throw new Error("The camera has to look at the ground to record a keyframe");
+  }
+
+  const { latitude, longitude } = Cesium.Cartographic.fromCartesian(center);
+  // the precision of the values in the exported JSON
+  const round = (value, digits) => Number(value.toFixed(digits));
+
+  const keyframe = {
+    coordinates: {
+      lat: round(Cesium.Math.toDegrees(latitude), 6),
+      lng: round(Cesium.Math.toDegrees(longitude), 6),
+    },
+    heading: round(Cesium.Math.toDegrees(camera.heading), 1),
+    // the pitch of the config is between -90° and 0°
+    pitch: round(Math.min(Cesium.Math.toDegrees(camera.pitch), 0), 1),
+    range: Math.max(
+      Math.round(Cesium.Cartesian3.distance(center, camera.position)),
+      1
+    ),
+    ...options,
+  };
+
+  recordedKeyframes.push(keyframe);
+
+  return keyframe;
+}
+
+/**
+ * Returns the first name "tour-" with a number which isn't used by a tour of the `tours` config.
+ *
+ * @returns {string} The name.
+ */
+function getNewTourName() {
+  const names = new Set(config.tours.map(({ name }) => name));
+  let number = config.tours.length + 1;
+
+  while (names.has(`tour-${number}`)) {
+    number++;
+  }
+
+  return `tour-${number}`;
+}
+
+/**
+ * Stops the recording and adds the recorded tour to the `tours` config.
+ * If the tour can't be added, the recording continues, e.g. to save it with another name.
+ *
+ * @param {string} [name] - The name of the tour, defaults to "tour-" with a number which isn't used yet.
+ * @returns {Promise<TourConfig | null>} The recorded tour, or `null` if no keyframes were recorded.
+ * @throws {Error} If the tour is invalid, e.g. because its name is already used.
+ */
+export async function stopTourRecording(name = getNewTourName()) {
+  const keyframes = recordedKeyframes;
+  recordedKeyframes = null;
+
+  if (!keyframes?.length) {
+    return null;
+  }
+
+  const tour = { name, keyframes };
+  const previousConfig = config;
+
+  try {
+    await applyConfig({ tours: [...config.tours, tour] });
+  } catch (error) {
+    // the config was rejected, e.g. by the validation: keep the recorded keyframes,
+    // unless a new recording was started in the meantime
+    if (config === previousConfig && !recordedKeyframes) {
+      recordedKeyframes = keyframes;
+    }
+    throw error;
+  }
+
+  return activeConfig.tours.find((entry) => entry.name === name);
+}
+
+/**
+ * Exports a tour of the `tours` config as JSON, which can be added to the `tours` of a config file.
+ *
+ * @param {string} name - The name of the tour.
+ * @returns {string} The exported file content.
+ * @throws {Error} If there is no tour with the given name.
+ */
+export function exportTour(name) {
+  const tour = activeConfig.tours.find((entry) => entry.name === name);
+
+  if (!tour) {
+    throw new Error(`There is no tour named "${name}" in the tours config`);
+  }
+
+  return JSON.stringify(tour, null, 2);
+}
+
+/**
+ * Formats a time of a tour, e.g. "1:05".
+ *
+ * @param {number} time - The time in seconds.
+ * @returns {string} The formatted time.
+ */
+function formatTourTime(time) {
+  const seconds = Math.floor(time);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Creates the tour panel on the map to play, scrub, record and export the camera tours.
+ * Moving the camera by hand pauses the current tour.
+ */
+export function createCameraTours() {
+  const toursElement = document.createElement("details");
+  toursElement.classList.add("camera-tours");
+
+  const titleElement = document.createElement("summary");
+  titleElement.textContent = "Camera tours";
+  toursElement.appendChild(titleElement);
+
+  const contentElement = document.createElement("div");
+  contentElement.classList.add("camera-tours-content");
+  toursElement.appendChild(contentElement);
+
+  const tourSelect = document.createElement("select");
+  tourSelect.setAttribute("aria-label", "Tour");
+
+  const handleError = (error) => console.error(error);
+
+  const playButton = createTextButton("Play", () => {
+    const state = getTourState();
+
+    if (state?.name !== tourSelect.value) {
+      playTour(tourSelect.value).catch(handleError);
+    } else if (state.isPaused) {
+      resumeTour();
+    } else {
+      pauseTour();
+    }
+  });
+  const stopButton = createTextButton("Stop", stopTour);
+  const exportButton = createTextButton("Export JSON", () => {
+    downloadFile(
+      exportTour(tourSelect.value),
+      `tour-${tourSelect.value}.json`,
+      "application/json"
+    );
+  });
+
+  const playbackControls = document.createElement("div");
+  playbackControls.classList.add("camera-tours-controls");
+  playbackControls.append(tourSelect, playButton, stopButton, exportButton);
+
+  const scrubber = document.createElement("input");
+  scrubber.type = "range";
+  scrubber.min = 0;
+  scrubber.step = 0.1;
+  scrubber.setAttribute("aria-label", "Tour time");
+  scrubber.style.setProperty("--min", 0);
+  scrubber.addEventListener("input", () => seekTour(Number(scrubber.value)));
+
+  const timeElement = document.createElement("span");
+  timeElement.classList.add("camera-tours-time");
+
+  const scrubControls = document.createElement("div");
+  scrubControls.classList.add("camera-tours-controls");
+  scrubControls.append(scrubber, timeElement);
+
+  const recordButton = createTextButton("Record tour", () => {
+    startTourRecording();
+    updateRecordControls();
+  });
+  const keyframeButton = createTextButton("Add keyframe", () => {
+    try {
+      recordTourKeyframe();
+    } catch (error) {
+      handleError(error);
+    }
+    updateRecordControls();
+  });
+  const saveButton = createTextButton("Save", () => {
+    stopTourRecording()
+      .then((tour) => {
+        if (tour) {
+          tourSelect.value = tour.name;
+          updatePlaybackControls();
+        }
+      })
+      .catch(handleError)
+      .finally(updateRecordControls);
+  });
+
+  const recordControls = document.createElement("div");
+  recordControls.classList.add("camera-tours-controls");
+  recordControls.append(recordButton, keyframeButton, saveButton);
+
+  contentElement.append(playbackControls, scrubControls, recordControls);
+
+  const updateTourOptions = () => {
+    const selectedName = tourSelect.value;
+
+    tourSelect.replaceChildren(
+      ...activeConfig.tours.map(({ name, label }) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = label ?? name;
+        return option;
+      })
+    );
+
+    if (activeConfig.tours.some(({ name }) => name === selectedName)) {
+      tourSelect.value = selectedName;
+    }
+  };
+
+  const updatePlaybackControls = () => {
+    const state = getTourState();
+    const isSelectedTourPlayed = state?.name === tourSelect.value;
+
+    playButton.textContent =
+      isSelectedTourPlayed && !state.isPaused ? "Pause" : "Play";
+    playButton.disabled = !tourSelect.value;
+    stopButton.disabled = !state;
+    exportButton.disabled = !tourSelect.value;
+
+    scrubControls.hidden = !isSelectedTourPlayed;
+
+    if (isSelectedTourPlayed) {
+      scrubber.max = state.duration;
+      scrubber.value = state.time;
+      scrubber.style.setProperty("--max", state.duration);
+      scrubber.style.setProperty("--value", state.time);
+      timeElement.textContent = `${formatTourTime(
+        state.time
+      )} / ${formatTourTime(state.duration)}`;
+    }
+  };
+
+  const updateRecordControls = () => {
+    const isRecording = isTourRecording();
+
+    recordButton.hidden = isRecording;
+    keyframeButton.hidden = !isRecording;
+    saveButton.hidden = !isRecording;
+
+    if (isRecording) {
+      keyframeButton.textContent = `Add keyframe (${recordedKeyframes.length})`;
+    }
+  };
+
+  tourSelect.addEventListener("change", updatePlaybackControls);
+
+  updateTourOptions();
+  updatePlaybackControls();
+  updateRecordControls();
+
+  getMapPanelColumn().appendChild(toursElement);
+
+  window.addEventListener("tourchange", updatePlaybackControls);
+
+  window.addEventListener("configchange", (event) => {
+    if (event.detail.changedPaths.some((path) => path.startsWith("tours"))) {
+      updateTourOptions();
+      updatePlaybackControls();
+    }
+  });
+
+  // the tours are made for a location
+  window.addEventListener("locationchange", stopTour);
+
+  // follow the time of the played tour
+  cesiumViewer.scene.postRender.addEventListener(() => {
+    if (playback && !playback.isPaused) {
+      updatePlaybackControls();
+    }
+  });
+
+  // moving the camera by hand pauses the tour
+  for (const eventType of ["pointerdown", "wheel"]) {
+    cesiumViewer.canvas.addEventListener(eventType, pauseTour);
+  }
+}
@@ -0,0 +1,92 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { setCategoryVisibility } from "./create-markers.js";
+import { getMarkerImage } from "./marker-images.js";
+import { placeTypes } from "./place-type-details.js";
+
+/**
+ * Creates the legend entry of a category, which toggles the visibility of its markers.
+ *
+ * @param {{category: string, style: MarkerStyle, count: number, isVisible: boolean}} markerCategory
+ * - The category with the style and the number of its markers.
+ * @returns {HTMLButtonElement} The legend entry.
+ */
+function createLegendEntry({ category, style, count, isVisible }) {
+  // Custom POI providers may use types which are not known place types
+  const label = placeTypes[category] ?? category;
+
+  const entry = document.createElement("button");
+  entry.classList.add("category-legend-entry");
+  entry.dataset.category = category;
+  entry.setAttribute("aria-pressed", isVisible);
+  entry.setAttribute(
+    "aria-label",
+    `${isVisible ? "Hide" : "Show"} ${label} (${count})`
+  );
+
+  const icon = document.createElement("img");
+  icon.alt = "";
+  getMarkerImage(style)
+    .then((markerImage) => (icon.src = markerImage))
+    .catch((error) => console.warn(error));
+  entry.appendChild(icon);
+
+  const labelElement = document.createElement("span");
+  labelElement.textContent = label;
+  entry.appendChild(labelElement);
+
+  const countElement = document.createElement("span");
+  countElement.classList.add("category-legend-count");
+  countElement.textContent = count;
+  entry.appendChild(countElement);
+
+  entry.addEventListener("click", () =>
+    setCategoryVisibility(category, !isVisible)
+  );
+
+  return entry;
+}
+
+/**
+ * Creates the legend on the map, listing the categories of the loaded POIs with their icon,
+ * color and number of markers. Clicking a category shows or hides its markers
+ * without requesting the POIs again.
+ */
+export function createCategoryLegend() {
+  const overlay = document.querySelector(".custom-overlay");
+
+  const legendElement = document.createElement("div");
+  legendElement.classList.add("category-legend");
+  legendElement.setAttribute("role", "group");
+  legendElement.setAttribute("aria-label", "Categories");
+  legendElement.hidden = true;
+
+  overlay.appendChild(legendElement);
+
+  // The categories change with the loaded POIs and when they are toggled
+  window.addEventListener("markerschange", (event) => {
+    const { categories } = event.detail;
+    const focusedCategory =
+      legendElement.querySelector(":focus")?.dataset.category;
+
+    legendElement.hidden = categories.length === 0;
+    legendElement.replaceChildren(...categories.map(createLegendEntry));
+
+    // keep the focus on the toggled entry
+    [...legendElement.children]
+      .find((entry) => entry.dataset.category === focusedCategory)
+      ?.focus();
+  });
+}
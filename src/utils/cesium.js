@@ -21,11 +21,11 @@ const CAMERA_HEIGHT = 100;
 // Pitch 30 degrees downwards
 const BASE_PITCH = -30;
 
-// change the pitch by 10 degrees over time
-const AUTO_ORBIT_PITCH_AMPLITUDE = 10;
+// The seconds in which the camera blends from its start position into the auto-orbit
+const AUTO_ORBIT_BLEND_DURATION = 2;
 
-// Distance variation relative to initial range.
-const RANGE_AMPLITUDE_RELATIVE = 0.55;
+// How fast the heading of the flyover follows the direction of the path, per second
+const FLYOVER_HEADING_SMOOTHING = 1.5;
 
 // Determines how much the camera should zoom in or out
 const ZOOM_FACTOR = 20;
@@ -51,16 +51,42 @@ const START_COORDINATES = {
 export let cesiumViewer;
 
 /**
- * Value is set by the `setAutoOrbit` function. This value will be filled by the config file.
- * @type {number} The camera speed for the auto orbit animation in revolutions per minute
+ * The state of the auto-orbit, owned by the `autoOrbitController`:
+ * - `isRunning`: whether the auto-orbit is switched on.
+ * - `isPaused`: whether a running auto-orbit is held, e.g. during a flight. It resumes afterwards.
+ * - `type`: the auto-orbit type - either a simple round orbit or a dynamic orbit with variable distance and pitch
+ *   based on a sine function, a spiral between two ranges, an elliptical orbit, an orbit drifting between the POIs
+ *   or a flyover along a path.
+ * - `speed`: the camera speed in revolutions per minute, filled by the config file.
+ * - `center`: the last coordinates the camera flew to, which the camera orbits around.
+ *   If `null`, the camera orbits around the center of the current view.
+ * @type {{
+ *   isRunning: boolean,
+ *   isPaused: boolean,
+ *   type: "fixed-orbit" | "dynamic-orbit" | "spiral" | "elliptical-orbit" | "poi-hopping" | "flyover" | null,
+ *   speed: number,
+ *   center: google.maps.LatLngLiteral | null
+ * }}
  */
-let autoOrbitCameraSpeed = 0;
+const autoOrbitState = {
+  isRunning: false,
+  isPaused: false,
+  type: null,
+  speed: 0,
+  center: null,
+};
+
+/**
+ * The settings of the auto-orbit types, e.g. the amplitudes of the dynamic orbit. Set by `autoOrbitController.setSettings`.
+ * @type {CameraConfig}
+ */
+let autoOrbitSettings = null;
 
 /**
- * Auto-orbit type - either a simple round orbit or a dynamic orbit with variable distance and pitch based on a sine function
- * @type {"fixed-orbit" | "dynamic-orbit"}
+ * The coordinates of the shown POIs, which the "poi-hopping" orbit drifts between
+ * @type {google.maps.LatLngLiteral[]}
  */
-let autoOrbitType = null;
+let autoOrbitHopTargets = [];
 
 /**
  * @type {number} The current animation frame id
@@ -68,12 +94,10 @@ let autoOrbitType = null;
 let animationFrameId = 0;
 
 /**
- * Coordinates in the format {lat: number, lng: number}. The last defined coordinates the camera flew to
- * @type {Object|null}
- * @property {number} lat - The latitude value.
- * @property {number} lng - The longitude value.
+ * The ID of the latest start of the auto-orbit animation, to discard starts which are still loading
+ * @type {number}
  */
-let flyToCoordinates = null;
+let autoOrbitStartId = 0;
 
 /**
  * @type {boolean} Whether the UI elements are initialized or not.
@@ -152,6 +176,52 @@ async function adjustCoordinateHeight(coords) {
   );
 }
 
+/**
+ * Returns the positions on top of the ground (e.g. a rooftop) of a list of coordinates.
+ * Coordinates without a loaded surface keep their height above the ellipsoid, i.e. 0.
+ *
+ * @param {google.maps.LatLngLiteral[]} coordsList - The latitude and longitude coordinates.
+ * @return {Promise<Cesium.Cartographic[]>} The positions on the ground.
+ */
+export async function clampCoordinatesToGround(coordsList) {
+  const cartesians = coordsList.map(({ lat, lng }) =>
+    Cesium.Cartesian3.fromDegrees(lng, lat)
+  );
+  const clampedCoords =
+    await cesiumViewer.scene.clampToHeightMostDetailed(cartesians);
+
+  return clampedCoords.map((clampedCartesian, index) =>
+    Cesium.Cartographic.fromCartesian(clampedCartesian ?? cartesians[index])
+  );
+}
+
+/**
+ * Adjusts the height of a list of coordinates like `adjustCoordinateHeight`.
+ * Coordinates without a loaded surface keep their height above the ellipsoid.
+ *
+ * @param {google.maps.LatLngLiteral[]} coordsList - The latitude and longitude coordinates.
+ * @return {Promise<Cesium.Cartographic[]>} The positions with adjusted height.
+ */
+async function adjustCoordinateHeights(coordsList) {
+  const cartographics = await clampCoordinatesToGround(coordsList);
+
+  cartographics.forEach(
+    (cartographic) => (cartographic.height += CAMERA_HEIGHT)
+  );
+  return cartographics;
+}
+
+/**
+ * Converts a CSS color of the config, e.g. of the boundary or the distance line, to a Cesium color.
+ *
+ * @param {string} cssColor - The CSS color.
+ * @returns {Cesium.Color} The color, white for invalid CSS colors.
+ */
+export function getCesiumColor(cssColor) {
+  // invalid CSS colors result in `undefined`
+  return Cesium.Color.fromCssColorString(cssColor) ?? Cesium.Color.WHITE;
+}
+
 /**
  * Flies the camera to the given coordinates with the specified offset to the surface.
  *
@@ -162,7 +232,7 @@ async function adjustCoordinateHeight(coords) {
  * @param {number | undefined} [options.duration] - The duration of the fly-to animation in seconds. If undefined, Cesium calculates an ideal duration based on the distance to be traveled by the flight.
  */
 async function flyToBoundingSphere({ coords, offset, onComplete, duration }) {
-  flyToCoordinates = coords;
+  updateAutoOrbitState({ center: coords });
   const adjustedCoords = await adjustCoordinateHeight(coords);
 
   cesiumViewer.camera.flyToBoundingSphere(
@@ -175,50 +245,27 @@ async function flyToBoundingSphere({ coords, offset, onComplete, duration }) {
   );
 }
 
-/**
- * Updates the camera speed for the auto orbit animation
- *
- * @param {number} speed - The new camera speed value in revolutions per minute.
- */
-export function setAutoOrbitCameraSpeed(speed) {
-  autoOrbitCameraSpeed = speed;
-}
-
-/**
- * Update the auto-orbit type / style
- *
- * @param {"fixed-orbit" | "dynamic-orbit"} newOrbitType - "fixed-orbit" for a simple round orbit and "dynamic-orbit" for an orbit as sine wave
- */
-export async function setAutoOrbitType(newOrbitType) {
-  // if the auto-orbit type didn't change, do nothing
-  if (newOrbitType === autoOrbitType) {
-    return;
-  }
-  // set the current auto-orbit type
-  autoOrbitType = newOrbitType;
-}
-
 /**
  * When changing the auto-orbit type, this function transitions the camera between the two range and pitch values
  */
 export async function transitionAutoOrbit() {
-  // stop the auto-orbit camera to move the camera
-  stopAutoOrbitAnimation();
+  // hold the auto-orbit camera to move the camera
+  autoOrbitController.pause();
 
   // use base values and current camera heading
   await flyToBoundingSphere({
-    coords: flyToCoordinates,
+    coords: autoOrbitState.center,
     offset: {
       heading: cesiumViewer.camera.heading, // same heading as current to not turn camera weirdly
       pitch: CAMERA_OFFSET.pitch,
       range: CAMERA_OFFSET.range,
     },
-    // on complete: start auto-orbit again
-    onComplete: startAutoOrbitAnimation,
+    // on complete: continue the auto-orbit, unless it was stopped in the meantime
+    onComplete: autoOrbitController.resume,
 
     // when switching to the fixed-orbit use a longer steady transition
     // the dynamic-orbit starts at the fixed-orbit range so no transition is needed
-    duration: autoOrbitType === "fixed-orbit" ? 1 : 0, // the duration of the transition in seconds}
+    duration: autoOrbitState.type === "fixed-orbit" ? 1 : 0, // the duration of the transition in seconds}
   });
 }
 
@@ -231,46 +278,279 @@ export async function transitionAutoOrbit() {
   }
  */
 export async function updateZoomToRadius(range) {
-  stopAutoOrbitAnimation();
+  autoOrbitController.pause();
 
   await flyToBoundingSphere({
-    coords: flyToCoordinates,
+    coords: autoOrbitState.center,
     offset: {
       heading: cesiumViewer.camera.heading,
       pitch: CAMERA_OFFSET.pitch,
       range,
     },
-    onComplete: startAutoOrbitAnimation,
+    onComplete: autoOrbitController.start,
   });
 }
 
 /**
- * Checks if auto orbit is enabled.
+ * Interpolates between two cartographic positions.
  *
- * @returns {boolean} - True if auto orbit is enabled, false otherwise.
+ * @param {Cesium.Cartographic} from - The start position.
+ * @param {Cesium.Cartographic} to - The end position.
+ * @param {number} progress - The progress from 0 to 1.
+ * @returns {Cesium.Cartesian3} The interpolated position.
  */
-function isAutoOrbitEnabled() {
-  const autoOrbitSwitchInput = document.getElementById("toggle-switch");
+function lerpCartographic(from, to, progress) {
+  const lerp = (start, end) => start + (end - start) * progress;
+
+  return Cesium.Cartesian3.fromRadians(
+    lerp(from.longitude, to.longitude),
+    lerp(from.latitude, to.latitude),
+    lerp(from.height, to.height)
+  );
+}
+
+/**
+ * Eases a progress from 0 to 1 in and out.
+ *
+ * @param {number} progress - The progress from 0 to 1.
+ * @returns {number} The eased progress.
+ */
+function easeInOut(progress) {
+  return (1 - Math.cos(Math.PI * progress)) / 2;
+}
+
+/**
+ * Prepares the positions of the auto-orbit types which move the center:
+ * the POIs of the "poi-hopping" orbit in clockwise order and the segments of the closed "flyover" path.
+ *
+ * @param {Cesium.Cartesian3} center - The center of the auto-orbit.
+ * @returns {Promise<{
+ *   hopCenters: Cesium.Cartographic[],
+ *   flyoverSegments: Array<{from: Cesium.Cartographic, to: Cesium.Cartographic, heading: number, length: number}>
+ * }>} The positions, the headings are in radians and the lengths in meters.
+ */
+async function prepareAutoOrbitPositions(center) {
+  const centerCartographic = Cesium.Cartographic.fromCartesian(center);
+  const getBearing = ({ lat, lng }) =>
+    Math.atan2(
+      Cesium.Math.toRadians(lng) - centerCartographic.longitude,
+      Cesium.Math.toRadians(lat) - centerCartographic.latitude
+    );
+
+  const hopTargets =
+    autoOrbitState.type === "poi-hopping"
+      ? [...autoOrbitHopTargets].sort((a, b) => getBearing(a) - getBearing(b))
+      : [];
+  const flyoverPath =
+    autoOrbitState.type === "flyover" ? autoOrbitSettings.flyover.path : [];
+
+  const [hopCenters, flyoverCenters] = await Promise.all([
+    adjustCoordinateHeights(hopTargets),
+    adjustCoordinateHeights(flyoverPath),
+  ]);
+
+  const flyoverSegments =
+    flyoverCenters.length < 2
+      ? []
+      : flyoverCenters.map((from, index) => {
+          const to = flyoverCenters[(index + 1) % flyoverCenters.length];
+          const geodesic = new Cesium.EllipsoidGeodesic(from, to);
+
+          return {
+            from,
+            to,
+            heading: geodesic.startHeading,
+            length: geodesic.surfaceDistance,
+          };
+        });
+
+  return {
+    // the hops start and end at the center
+    hopCenters: [centerCartographic, ...hopCenters],
+    flyoverSegments,
+  };
+}
+
+/**
+ * The camera of each auto-orbit type at a moment of the animation. Each function gets the `orbit` state:
+ * the `initial` camera (`center`, `heading`, `pitch`, `range`), the `heading` which turns with the camera speed,
+ * the `elapsed` seconds, the seconds since the last frame (`frameSeconds`), the prepared `positions`
+ * (see `prepareAutoOrbitPositions`) and the `previousFrame` of the type (`null` in the first frame).
+ * It returns the `center` the camera looks at and the `heading`, `pitch` and `range` of the camera.
+ */
+const AUTO_ORBIT_FRAMES = {
+  "fixed-orbit": ({ initial, heading }) => ({ ...initial, heading }),
+
+  // change the camera pitch and range along a sine wave of the heading
+  "dynamic-orbit": ({ initial, heading }) => {
+    const { pitchAmplitude, rangeAmplitude } = autoOrbitSettings;
+    const totalHeadingChange = heading - initial.heading;
+
+    return {
+      ...initial,
+      heading,
+      pitch:
+        initial.pitch +
+        Cesium.Math.toRadians(pitchAmplitude) * Math.sin(totalHeadingChange),
+      range:
+        initial.range +
+        rangeAmplitude * initial.range * -Math.sin(totalHeadingChange),
+    };
+  },
+
+  // move down from the max to the min range and back up within the configured revolutions
+  spiral: ({ initial, heading }) => {
+    const { revolutions } = autoOrbitSettings.spiral;
+    const minRange = Math.min(
+      autoOrbitSettings.spiral.minRange,
+      autoOrbitSettings.spiral.maxRange
+    );
+    const maxRange = Math.max(
+      autoOrbitSettings.spiral.minRange,
+      autoOrbitSettings.spiral.maxRange
+    );
+    const phase = (heading - initial.heading) / (2 * Math.PI * revolutions);
+
+    return {
+      ...initial,
+      heading,
+      range:
+        minRange +
+        ((maxRange - minRange) * (1 + Math.cos(Math.PI * phase))) / 2,
+    };
+  },
+
+  // move along an ellipse around the center, starting on the side of the initial camera
+  "elliptical-orbit": ({ initial, heading }) => {
+    const { majorAxis, minorAxis, rotation } = autoOrbitSettings.ellipse;
+    const majorAxisBearing = Cesium.Math.toRadians(rotation);
+    // the angle of the camera position on the ellipse, measured from the major axis
+    const angle = heading + Math.PI - majorAxisBearing;
+    const x = majorAxis * Math.cos(angle);
+    const y = minorAxis * Math.sin(angle);
+
+    return {
+      ...initial,
+      // the camera looks from its position on the ellipse to the center
+      heading: majorAxisBearing + Math.atan2(y, x) - Math.PI,
+      // the distance on the ground is the horizontal part of the range, limited for a view from the top
+      range: Math.hypot(x, y) / Math.max(Math.cos(initial.pitch), 0.1),
+    };
+  },
+
+  // drift from POI to POI while the camera orbits
+  "poi-hopping": ({ initial, heading, elapsed, positions }) => {
+    const { hopCenters } = positions;
+    const { hopDuration } = autoOrbitSettings.poiHopping;
+    const hop = Math.floor(elapsed / hopDuration);
+    const from = hopCenters[hop % hopCenters.length];
+    const to = hopCenters[(hop + 1) % hopCenters.length];
+
+    return {
+      ...initial,
+      center: lerpCartographic(
+        from,
+        to,
+        easeInOut(elapsed / hopDuration - hop)
+      ),
+      heading,
+    };
+  },
+
+  // fly along the closed path, the camera looks in the direction of the path
+  flyover: ({
+    initial,
+    heading: orbitHeading,
+    elapsed,
+    frameSeconds,
+    positions,
+    previousFrame,
+  }) => {
+    const { flyoverSegments } = positions;
+    const pathLength = flyoverSegments.reduce(
+      (sum, { length }) => sum + length,
+      0
+    );
+
+    // without a path of at least two coordinates, orbit around the center instead
+    if (!pathLength) {
+      return AUTO_ORBIT_FRAMES["fixed-orbit"]({ initial, heading: orbitHeading });
+    }
+
+    let distance = (elapsed * autoOrbitSettings.flyover.speed) % pathLength;
+    const segment =
+      flyoverSegments.find(({ length }) => {
+        if (distance <= length) {
+          return true;
+        }
+        distance -= length;
+        return false;
+      }) ?? flyoverSegments[flyoverSegments.length - 1];
+
+    // turn smoothly at the corners of the path
+    const heading = previousFrame
+      ? previousFrame.heading +
+        Cesium.Math.negativePiToPi(segment.heading - previousFrame.heading) *
+          Math.min(1, frameSeconds * FLYOVER_HEADING_SMOOTHING)
+      : segment.heading;
+
+    return {
+      ...initial,
+      center: lerpCartographic(
+        segment.from,
+        segment.to,
+        segment.length ? distance / segment.length : 0
+      ),
+      heading,
+    };
+  },
+};
 
-  return autoOrbitSwitchInput.checked;
+/**
+ * Blends from the initial camera into the auto-orbit, so that every auto-orbit type starts seamlessly.
+ *
+ * @param {{center: Cesium.Cartesian3, heading: number, pitch: number, range: number}} initial - The initial camera.
+ * @param {{center: Cesium.Cartesian3, heading: number, pitch: number, range: number}} frame - The camera of the auto-orbit.
+ * @param {number} elapsed - The seconds since the start of the auto-orbit.
+ * @returns {{center: Cesium.Cartesian3, heading: number, pitch: number, range: number}} The blended camera.
+ */
+function blendAutoOrbitFrame(initial, frame, elapsed) {
+  if (elapsed >= AUTO_ORBIT_BLEND_DURATION) {
+    return frame;
+  }
+
+  const progress = easeInOut(elapsed / AUTO_ORBIT_BLEND_DURATION);
+  const lerp = (from, to) => from + (to - from) * progress;
+
+  return {
+    center: Cesium.Cartesian3.lerp(
+      initial.center,
+      frame.center,
+      progress,
+      new Cesium.Cartesian3()
+    ),
+    heading:
+      initial.heading +
+      Cesium.Math.negativePiToPi(frame.heading - initial.heading) * progress,
+    pitch: lerp(initial.pitch, frame.pitch),
+    range: lerp(initial.range, frame.range),
+  };
 }
 
 /**
  * Performs auto-orbit animation by continuously updating the camera position and orientation.
+ * Use the `autoOrbitController` to start and stop it.
  */
 async function startAutoOrbitAnimation() {
-  const autoOrbitSwitchInput = document.getElementById("toggle-switch");
-  // Check the toggle switch
-  autoOrbitSwitchInput.checked = true;
-
+  const startId = ++autoOrbitStartId;
   let center = null;
 
-  // This statement checks if flyToCoordinates are defined or not.
-  // If they are, we have a center to orbit around
-  // If they are not, we determine the current center within the view
-  if (flyToCoordinates) {
+  // This statement checks if the auto-orbit has a center or not.
+  // If it has, we have a center to orbit around
+  // If it has not, we determine the current center within the view
+  if (autoOrbitState.center) {
     // calculate the center coordinates so that they are not below the terrain
-    center = await adjustCoordinateHeight(flyToCoordinates);
+    center = await adjustCoordinateHeight(autoOrbitState.center);
   } else {
     center = cesiumViewer.scene.pickPosition(
       new Cesium.Cartesian2(
@@ -284,19 +564,26 @@ async function startAutoOrbitAnimation() {
     return;
   }
 
+  const positions = await prepareAutoOrbitPositions(center);
+
+  // the auto-orbit was stopped, paused or started again while the positions were loaded
+  if (startId !== autoOrbitStartId) {
+    return;
+  }
+
   // get the current camera parameters to start the auto-orbit seamlessly after the fly to animation
-  const initialPitch = cesiumViewer.camera.pitch;
-  const initialHeading = cesiumViewer.camera.heading;
-  const initialRange = Cesium.Cartesian3.distance(
+  const initial = {
     center,
-    cesiumViewer.camera.position
-  );
-
-  // the amount of camera tilt towards the ground in degrees (then converted to radians)
-  const pitchAmplitude = Cesium.Math.toRadians(AUTO_ORBIT_PITCH_AMPLITUDE);
+    pitch: cesiumViewer.camera.pitch,
+    heading: cesiumViewer.camera.heading,
+    range: Cesium.Cartesian3.distance(center, cesiumViewer.camera.position),
+  };
+  const getAutoOrbitFrame = AUTO_ORBIT_FRAMES[autoOrbitState.type];
 
-  let previousFrameTimestamp = Date.now();
-  let heading = initialHeading;
+  const startTimestamp = Date.now();
+  let previousFrameTimestamp = startTimestamp;
+  let heading = initial.heading;
+  let previousFrame = null;
 
   /**
    * Calculates the current frame of the auto orbit animation
@@ -308,30 +595,30 @@ async function startAutoOrbitAnimation() {
     const secondsSinceLastFrame =
       (currentTimestamp - previousFrameTimestamp) / 1000;
     const radian =
-      secondsSinceLastFrame * (autoOrbitCameraSpeed / 60) * Math.PI * 2;
+      secondsSinceLastFrame * (autoOrbitState.speed / 60) * Math.PI * 2;
 
     heading += radian;
 
-    const totalHeadingChange = heading - initialHeading;
-
-    // change the camera pitch by time elapsed (pitch is the up down rotation of the camera)
-    const dynamicPitch =
-      initialPitch + pitchAmplitude * Math.sin(totalHeadingChange);
-    const pitch =
-      autoOrbitType === "dynamic-orbit" ? dynamicPitch : initialPitch;
-
-    // change the camera range by time elapsed (range is the distance of the camera from the center)
-    const dynamicRange =
-      initialRange +
-      RANGE_AMPLITUDE_RELATIVE * initialRange * -Math.sin(totalHeadingChange);
-    const range =
-      autoOrbitType === "dynamic-orbit" ? dynamicRange : initialRange;
+    const elapsed = (currentTimestamp - startTimestamp) / 1000;
+    previousFrame = getAutoOrbitFrame({
+      initial,
+      heading,
+      elapsed,
+      frameSeconds: secondsSinceLastFrame,
+      positions,
+      previousFrame,
+    });
+    const frame = blendAutoOrbitFrame(initial, previousFrame, elapsed);
 
     // update the camera position and orientation
     cesiumViewer.camera.flyToBoundingSphere(
-      new Cesium.BoundingSphere(center, 0),
+      new Cesium.BoundingSphere(frame.center, 0),
       {
-        offset: new Cesium.HeadingPitchRange(heading, pitch, range),
+        offset: new Cesium.HeadingPitchRange(
+          frame.heading,
+          frame.pitch,
+          frame.range
+        ),
         duration: 0,
       }
     );
@@ -342,46 +629,174 @@ async function startAutoOrbitAnimation() {
     animationFrameId = requestAnimationFrame(calculateAutoOrbitFrame);
   };
 
+  // a previous animation, e.g. of a double start, is replaced
+  cancelAnimationFrame(animationFrameId);
   calculateAutoOrbitFrame();
 }
 
 /**
- * Stops the auto orbit animation and unchecks the toggle switch.
+ * Stops the current auto-orbit animation, including a start which is still loading.
  */
-const stopAutoOrbitAnimation = () => {
-  const autoOrbitSwitchInput = document.getElementById("toggle-switch");
-  // Uncheck the toggle switch
-  autoOrbitSwitchInput.checked = false;
-
-  // Cancel the animation frame
+function cancelAutoOrbitAnimation() {
+  autoOrbitStartId++;
   cancelAnimationFrame(animationFrameId);
-};
+}
 
 /**
- * Initializes auto orbit event listeners.
+ * Returns a copy of the auto-orbit state, see `autoOrbitState`.
  *
- * @param {CameraConfig} cameraConfig - The camera configuration.
+ * @returns {{
+ *   isRunning: boolean,
+ *   isPaused: boolean,
+ *   type: string | null,
+ *   speed: number,
+ *   center: google.maps.LatLngLiteral | null
+ * }} The state of the auto-orbit.
  */
-async function initializeAutoOrbit(cameraConfig) {
-  // Get the toggle switch from to control auto orbit
-  const autoOrbitSwitchInput = document.getElementById("toggle-switch");
-  // Enable auto orbit by default
-  autoOrbitSwitchInput.checked = true;
+function getAutoOrbitState() {
+  return { ...autoOrbitState };
+}
 
-  // Set the camera speed for the auto orbit animation
-  setAutoOrbitCameraSpeed(cameraConfig.speed);
+/**
+ * Updates the auto-orbit state and dispatches the `autoorbitchange` event on `window` if it changed.
+ *
+ * @param {Object} changes - The changed values of the state.
+ */
+function updateAutoOrbitState(changes) {
+  const hasChanged = Object.entries(changes).some(
+    ([key, value]) => autoOrbitState[key] !== value
+  );
 
-  // Set the auto orbit type
-  await setAutoOrbitType(cameraConfig.orbitType);
+  if (!hasChanged) {
+    return;
+  }
 
-  // Add an event listener to the toggle switch to enable/disable auto orbit
-  autoOrbitSwitchInput.addEventListener("click", () => {
-    if (isAutoOrbitEnabled()) {
-      startAutoOrbitAnimation(); // (Re-)start the auto orbit animation
-    } else {
-      stopAutoOrbitAnimation();
+  Object.assign(autoOrbitState, changes);
+
+  window.dispatchEvent(
+    new CustomEvent("autoorbitchange", {
+      detail: { state: getAutoOrbitState() },
+    })
+  );
+}
+
+/**
+ * Controls the auto-orbit independent of any UI, e.g. headless or from custom controls.
+ * Every change of its state dispatches the `autoorbitchange` event on `window` with the new `state`,
+ * the auto-orbit toggle switch is one of its subscribers.
+ *
+ * The functions don't depend on `this`, so they can be passed as callbacks.
+ *
+ * @example
+ * window.addEventListener("autoorbitchange", (event) => console.log(event.detail.state));
+ * autoOrbitController.setCenter({ lat: 48.8584, lng: 2.2945 });
+ * autoOrbitController.start();
+ */
+export const autoOrbitController = {
+  getState: getAutoOrbitState,
+
+  /**
+   * (Re-)starts the auto-orbit from the current camera.
+   */
+  start() {
+    updateAutoOrbitState({ isRunning: true, isPaused: false });
+    startAutoOrbitAnimation();
+  },
+
+  /**
+   * Stops the auto-orbit, the camera stays where it is.
+   */
+  stop() {
+    cancelAutoOrbitAnimation();
+    updateAutoOrbitState({ isRunning: false, isPaused: false });
+  },
+
+  /**
+   * Holds a running auto-orbit, e.g. while another animation moves the camera.
+   */
+  pause() {
+    if (!autoOrbitState.isRunning || autoOrbitState.isPaused) {
+      return;
     }
-  });
+
+    cancelAutoOrbitAnimation();
+    updateAutoOrbitState({ isPaused: true });
+  },
+
+  /**
+   * Continues a paused auto-orbit from the current camera. A stopped auto-orbit isn't started.
+   */
+  resume() {
+    if (!autoOrbitState.isRunning || !autoOrbitState.isPaused) {
+      return;
+    }
+
+    updateAutoOrbitState({ isPaused: false });
+    startAutoOrbitAnimation();
+  },
+
+  /**
+   * Sets the auto-orbit type, which is used from the next start of the auto-orbit.
+   *
+   * @param {"fixed-orbit" | "dynamic-orbit" | "spiral" | "elliptical-orbit" | "poi-hopping" | "flyover"} type -
+   * "fixed-orbit" for a simple round orbit, "dynamic-orbit" for an orbit as sine wave, or one of the other types (see `AUTO_ORBIT_FRAMES`)
+   */
+  setType(type) {
+    updateAutoOrbitState({ type });
+  },
+
+  /**
+   * Sets the camera speed, a running auto-orbit changes its speed right away.
+   *
+   * @param {number} speed - The camera speed in revolutions per minute.
+   */
+  setSpeed(speed) {
+    updateAutoOrbitState({ speed });
+  },
+
+  /**
+   * Sets the coordinates the camera orbits around from the next start of the auto-orbit.
+   *
+   * @param {google.maps.LatLngLiteral | null} center - The center, `null` for the center of the current view.
+   */
+  setCenter(center) {
+    updateAutoOrbitState({ center });
+  },
+
+  /**
+   * Updates the settings of the auto-orbit types, e.g. the amplitudes of the dynamic orbit or the path of the flyover.
+   * The settings are used from the next start of the auto-orbit.
+   *
+   * @param {CameraConfig} cameraConfig - The camera configuration.
+   */
+  setSettings(cameraConfig) {
+    autoOrbitSettings = cameraConfig;
+  },
+
+  /**
+   * Sets the coordinates of the shown POIs, which the "poi-hopping" orbit drifts between.
+   *
+   * @param {google.maps.LatLngLiteral[]} coordsList - The coordinates of the POIs.
+   */
+  setHopTargets(coordsList) {
+    autoOrbitHopTargets = coordsList;
+  },
+};
+
+/**
+ * Initializes the auto-orbit with the camera configuration. It is switched on by default
+ * and waits for the first flight to the location.
+ *
+ * @param {CameraConfig} cameraConfig - The camera configuration.
+ */
+function initializeAutoOrbit(cameraConfig) {
+  // Set the camera speed, the auto orbit type and its settings
+  autoOrbitController.setSpeed(cameraConfig.speed);
+  autoOrbitController.setSettings(cameraConfig);
+  autoOrbitController.setType(cameraConfig.orbitType);
+
+  // Enable auto orbit by default, it starts when the camera arrives at the location
+  updateAutoOrbitState({ isRunning: true, isPaused: true });
 
   // The types of events that will stop the auto orbit animation
   const eventTypes = ["pointerdown", "wheel"];
@@ -389,14 +804,41 @@ async function initializeAutoOrbit(cameraConfig) {
   // Add event listeners to the viewer canvas to disable auto orbit
   eventTypes.forEach((eventType) =>
     cesiumViewer.canvas.addEventListener(eventType, () => {
-      stopAutoOrbitAnimation();
+      autoOrbitController.stop();
       // As we are moving a away from a selected poi / center
-      // We reset the flyToCoordinates
-      flyToCoordinates = null;
+      // We reset the center of the auto orbit
+      autoOrbitController.setCenter(null);
     })
   );
 }
 
+/**
+ * Initializes the auto-orbit toggle switch, which shows and switches the state of the `autoOrbitController`.
+ */
+function initializeAutoOrbitSwitch() {
+  // Get the toggle switch from to control auto orbit
+  const autoOrbitSwitchInput = document.getElementById("toggle-switch");
+
+  if (!autoOrbitSwitchInput) {
+    return;
+  }
+
+  autoOrbitSwitchInput.checked = autoOrbitState.isRunning;
+
+  // Add an event listener to the toggle switch to enable/disable auto orbit
+  autoOrbitSwitchInput.addEventListener("click", () => {
+    if (autoOrbitSwitchInput.checked) {
+      autoOrbitController.start(); // (Re-)start the auto orbit animation
+    } else {
+      autoOrbitController.stop();
+    }
+  });
+
+  window.addEventListener("autoorbitchange", (event) => {
+    autoOrbitSwitchInput.checked = event.detail.state.isRunning;
+  });
+}
+
 /**
  * Shows UI elements by removing the "overlay-is-hidden" class from the ".custom-overlay" element.
  */
@@ -414,6 +856,7 @@ function showUIElements() {
  * @param {Object | undefined} options - Options to pass for the fly-to animation.
  * @param {number | undefined} options.range - The range between camera and center.
  * @param {number | undefined} options.duration - The duration of the fly-to animation in seconds. If undefined, Cesium calculates an ideal duration based on the distance to be traveled by the flight.
+ * @param {boolean | undefined} options.startAutoOrbit - Whether the auto orbit is started (`true`) or stopped (`false`) after the flight. If undefined, it continues if it is running.
  * @throws {Error} Throws an error if no coordinates are provided.
  */
 export async function performFlyTo(coords, options = {}) {
@@ -422,21 +865,23 @@ export async function performFlyTo(coords, options = {}) {
   }
 
   try {
-    const { range = CAMERA_OFFSET.range, duration } = options;
+    const { range = CAMERA_OFFSET.range, duration, startAutoOrbit } = options;
 
-    // Stop the auto orbit animation while performing the fly-to animation
-    if (isAutoOrbitEnabled()) {
-      cancelAnimationFrame(animationFrameId);
-    }
+    // Hold the auto orbit animation while performing the fly-to animation
+    autoOrbitController.pause();
 
     const completeCallback = () => {
       // Initialize the UI elements if needed
       if (!isUIInitialized) {
         showUIElements();
       }
-      // Start auto orbit animation again if needed
-      if (isAutoOrbitEnabled()) {
-        startAutoOrbitAnimation();
+      // Start, stop or continue the auto orbit animation
+      if (startAutoOrbit === undefined) {
+        autoOrbitController.resume();
+      } else if (startAutoOrbit) {
+        autoOrbitController.start();
+      } else {
+        autoOrbitController.stop();
       }
     };
 
@@ -509,17 +954,20 @@ export async function initializeCesiumViewer(centerCoordinates, cameraConfig) {
   await createTileset();
   createAttribution();
   initializeZoomControl(centerCoordinates);
-  await initializeAutoOrbit(cameraConfig);
+  initializeAutoOrbit(cameraConfig);
+  initializeAutoOrbitSwitch();
 }
 
 /**
  * Callback for the zoom reset button
  * @param {coords} coords -  coordinates to fly to
+ * @param {Function | undefined} [onComplete] - The function to execute when the flight is complete.
  */
-export const zoomResetCallback = async (coords) => {
+export const zoomResetCallback = async (coords, onComplete) => {
   await flyToBoundingSphere({
     offset: CAMERA_OFFSET,
     coords,
+    onComplete,
   });
 };
 
@@ -539,9 +987,7 @@ function initializeZoomControl(centerCoordinates) {
 
   // Stop the auto orbit animation when the any of the zoom controls are clicked
   zoomControls.addEventListener("click", () => {
-    if (isAutoOrbitEnabled()) {
-      stopAutoOrbitAnimation();
-    }
+    autoOrbitController.stop();
   });
 
   // Add event listeners to the zoom control buttons
@@ -554,8 +1000,39 @@ function initializeZoomControl(centerCoordinates) {
   });
 
   if (centerCoordinates.lat && centerCoordinates.lng) {
-    zoomResetButton.addEventListener("click", () =>
-      zoomResetCallback(centerCoordinates)
-    );
+    updateZoomControl(centerCoordinates);
+  }
+}
+
+// A reference to the abort controller used to cancel the zoom reset button click event
+let zoomResetController;
+
+/**
+ * Updates the zoom reset control button with the given coordinates.
+ *
+ * @param {google.maps.LatLngLiteral} coords - The coordinates to fly to when resetting the zoom.
+ */
+export function updateZoomControl(coords) {
+  const zoomResetButton = document.querySelector(".zoom-reset-button");
+
+  if (!zoomResetButton) {
+    return;
   }
+
+  // cancel the previous zoom reset button click event
+  if (zoomResetController) {
+    zoomResetController.abort();
+  }
+
+  // create a new abort controller for the zoom reset button click event
+  zoomResetController = new AbortController();
+
+  // add a click event listener to the zoom reset button
+  zoomResetButton.addEventListener(
+    "click",
+    () => {
+      zoomResetCallback(coords);
+    },
+    { signal: zoomResetController.signal }
+  );
 }
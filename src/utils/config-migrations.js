@@ -0,0 +1,78 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * The registry of config migrations, ordered by version.
+ *
+ * Each migration upgrades a config of the previous version to its `version`.
+ * The `migrate` function returns the upgraded config (without modifying the passed one)
+ * and adds the paths of all fields it moved, renamed or rewrote to `rewrittenFields`.
+ *
+ * When changing the structure of the config, add a migration here, which increases the `CONFIG_VERSION`.
+ *
+ * @type {Array<{version: number, migrate: (config: Object, rewrittenFields: string[]) => Object}>}
+ */
+const CONFIG_MIGRATIONS = [
+  {
+    // Version 1 introduced the `version` key, the structure of version 0 (no `version` key) is unchanged.
+    version: 1,
+    migrate: (config) => ({ ...config }),
+  },
+];
+
+/**
+ * The current version of the config structure, written to `config.json` as `version`.
+ * @type {number}
+ */
+export const CONFIG_VERSION =
+  CONFIG_MIGRATIONS[CONFIG_MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrades a config of an older version step by step to the `CONFIG_VERSION`.
+ * A config without a `version` key is treated as version 0.
+ * Configs of the current version are returned as they are.
+ *
+ * @param {Object} config - The parsed config data.
+ * @returns {{config: Object, fromVersion: number, rewrittenFields: string[]}}
+ * The upgraded config, its original version and the paths of the fields that were rewritten.
+ * @throws {Error} If the config is of a newer version, which this app doesn't know.
+ */
+export function migrateConfig(config) {
+  const fromVersion = config?.version ?? 0;
+  const rewrittenFields = [];
+
+  if (fromVersion > CONFIG_VERSION) {
+    throw new Error(
+      `The config version ${fromVersion} is newer than the supported version ${CONFIG_VERSION}, ` +
+        `please update the app or set "version": ${CONFIG_VERSION}.`
+    );
+  }
+
+  const migratedConfig = CONFIG_MIGRATIONS.filter(
+    ({ version }) => version > fromVersion
+  ).reduce(
+    (currentConfig, { version, migrate }) => ({
+      ...migrate(currentConfig, rewrittenFields),
+      version,
+    }),
+    config
+  );
+
+  return {
+    config: migratedConfig,
+    fromVersion,
+    // A field can be rewritten by multiple migrations
+    rewrittenFields: [...new Set(rewrittenFields)],
+  };
+}
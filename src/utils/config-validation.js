@@ -0,0 +1,835 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { CONFIG_VERSION } from "./config-migrations.js";
+import { placeTypes } from "./place-type-details.js";
+
+/**
+ * Returns a copy of a schema node in which no value is required or has a default,
+ * e.g. to allow partial overrides of a config section.
+ *
+ * @param {Object} schema - The schema node.
+ * @returns {Object} The schema node with optional values only.
+ */
+function asPartialSchema(schema) {
+  const { default: _default, required, properties, ...partialSchema } = schema;
+
+  if (properties) {
+    partialSchema.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, propertySchema]) => [
+        key,
+        asPartialSchema(propertySchema),
+      ])
+    );
+  }
+
+  return partialSchema;
+}
+
+const COORDINATES_SCHEMA = {
+  type: "object",
+  required: true,
+  properties: {
+    lat: { type: "number", required: true, min: -90, max: 90 },
+    lng: { type: "number", required: true, min: -180, max: 180 },
+  },
+};
+
+// A GeoJSON Polygon or MultiPolygon (or a Feature / FeatureCollection of them), or the URL of a GeoJSON file.
+// The GeoJSON object is kept as it is, with all its members (e.g. `bbox` or `id`),
+// its structure is checked when it is loaded (see `loadBoundary` in `boundary.js`).
+const BOUNDARY_SCHEMA = {
+  oneOf: [{ type: "string" }, { type: "object" }],
+};
+
+const POI_SCHEMA = {
+  type: "object",
+  default: {},
+  properties: {
+    // the approximate maximum number of POIs on the map
+    density: { type: "number", integer: true, min: 1, default: 30 },
+    // in meters, the Places API allows a radius of up to 50 km
+    searchRadius: { type: "number", min: 1, max: 50000, default: 1000 },
+    types: {
+      type: "array",
+      default: [],
+      // other providers than the Places API may use custom types
+      items: { type: "string", knownValues: Object.keys(placeTypes) },
+    },
+    // where the POIs come from (see `pois.js`)
+    provider: {
+      type: "object",
+      default: {},
+      properties: {
+        type: {
+          type: "string",
+          enum: ["places", "geojson", "rest"],
+          default: "places",
+        },
+        // the URL of the GeoJSON file or REST endpoint
+        url: { type: "string" },
+      },
+    },
+    // whether only POIs within the `location.boundary` are shown
+    withinBoundary: { type: "boolean", default: false },
+    // files with own POIs, which are shown in addition to the POIs of the provider (see `poi-sources.js`)
+    sources: {
+      type: "array",
+      default: [],
+      items: {
+        oneOf: [
+          // the URL of the file, the format is derived from its extension
+          { type: "string" },
+          {
+            type: "object",
+            properties: {
+              url: { type: "string", required: true },
+              format: { type: "string", enum: ["geojson", "csv", "kml"] },
+            },
+          },
+        ],
+      },
+    },
+  },
+};
+
+const CAMERA_SCHEMA = {
+  type: "object",
+  default: {},
+  properties: {
+    // in revolutions per minute
+    speed: { type: "number", min: 0, default: 1 },
+    orbitType: {
+      type: "string",
+      enum: [
+        "fixed-orbit",
+        "dynamic-orbit",
+        "spiral",
+        "elliptical-orbit",
+        "poi-hopping",
+        "flyover",
+      ],
+      default: "dynamic-orbit",
+    },
+    // the pitch change of the dynamic orbit in degrees
+    pitchAmplitude: { type: "number", min: 0, max: 45, default: 10 },
+    // the range change of the dynamic orbit relative to the start range
+    rangeAmplitude: { type: "number", min: 0, max: 0.9, default: 0.55 },
+    // the ranges in meters between which the spiral moves down and up again
+    spiral: {
+      type: "object",
+      default: {},
+      properties: {
+        minRange: { type: "number", min: 1, default: 300 },
+        maxRange: { type: "number", min: 1, default: 1500 },
+        // the revolutions from one range to the other
+        revolutions: { type: "number", min: 0.5, default: 2 },
+      },
+    },
+    // the semi-axes of the elliptical orbit on the ground in meters
+    ellipse: {
+      type: "object",
+      default: {},
+      properties: {
+        majorAxis: { type: "number", min: 1, default: 1200 },
+        minorAxis: { type: "number", min: 1, default: 600 },
+        // the direction of the major axis in degrees, clockwise from north
+        rotation: { type: "number", default: 0 },
+      },
+    },
+    poiHopping: {
+      type: "object",
+      default: {},
+      properties: {
+        // the seconds to drift from one POI to the next one
+        hopDuration: { type: "number", min: 1, default: 20 },
+      },
+    },
+    flyover: {
+      type: "object",
+      default: {},
+      properties: {
+        // the closed path of the flyover, with less than two coordinates the camera orbits like "fixed-orbit"
+        path: { type: "array", default: [], items: COORDINATES_SCHEMA },
+        // in meters per second
+        speed: { type: "number", min: 1, default: 20 },
+      },
+    },
+  },
+};
+
+const MARKER_STYLE_SCHEMA = {
+  type: "object",
+  properties: {
+    // the URL of the icon SVG, e.g. one of `assets/icons/poi/*.svg`
+    icon: { type: "string" },
+    // a CSS color
+    color: { type: "string" },
+  },
+};
+
+const MARKERS_SCHEMA = {
+  type: "object",
+  default: {},
+  properties: {
+    // the size of the markers relative to their image, the selected marker is shown larger
+    scale: { type: "number", min: 0.1, max: 2, default: 0.744 },
+    selectedScale: { type: "number", min: 0.1, max: 2, default: 1 },
+    // the color of markers without a color from the POI provider or the `types` config
+    color: { type: "string", default: "#7B9EB0" },
+    // the color of the line between a marker and the ground
+    lineColor: { type: "string", default: "#FFFFFF" },
+    label: {
+      type: "object",
+      default: {},
+      properties: {
+        fontFamily: {
+          type: "string",
+          default: "Google Sans, Roboto, sans-serif",
+        },
+        // in pixels
+        fontSize: { type: "number", min: 1, default: 20 },
+      },
+    },
+    // the icon and color of the markers by place type, e.g. `{ "bar": { "color": "#FF9E67" } }`
+    types: {
+      type: "object",
+      default: {},
+      additionalProperties: MARKER_STYLE_SCHEMA,
+    },
+    // the line from the center to the selected marker
+    distanceLine: {
+      type: "object",
+      default: {},
+      properties: {
+        units: {
+          type: "string",
+          enum: ["metric", "imperial"],
+          default: "metric",
+        },
+        // in meters per second, used to estimate the walking time
+        walkingSpeed: { type: "number", min: 0.1, default: 1.4 },
+        color: { type: "string", default: "#1A73E8" },
+      },
+    },
+  },
+};
+
+const RINGS_SCHEMA = {
+  type: "object",
+  default: {},
+  properties: {
+    // rings are only drawn if enabled
+    enabled: { type: "boolean", default: false },
+    // whether the `poi.searchRadius` is drawn as ring
+    searchRadius: { type: "boolean", default: true },
+    // additional rings by distance in meters or walking time in minutes
+    bands: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        properties: {
+          distance: { type: "number", min: 1 },
+          minutes: { type: "number", min: 0.1 },
+          label: { type: "string" },
+        },
+      },
+    },
+    color: { type: "string", default: "#FFFFFF" },
+  },
+};
+
+const BOUNDARY_STYLE_SCHEMA = {
+  type: "object",
+  default: {},
+  properties: {
+    // the color of the outline and the walls
+    color: { type: "string", default: "#FFFFFF" },
+    // in pixels
+    width: { type: "number", min: 1, default: 3 },
+    // semi-transparent walls along the outline
+    walls: {
+      type: "object",
+      default: {},
+      properties: {
+        enabled: { type: "boolean", default: false },
+        // in meters above the ground
+        height: { type: "number", min: 1, default: 30 },
+        opacity: { type: "number", min: 0, max: 1, default: 0.3 },
+      },
+    },
+  },
+};
+
+const SCORE_DECAY_SCHEMA = {
+  type: "object",
+  default: {},
+  properties: {
+    // how the value of a place decreases between `fullDistance` and `maxDistance`
+    curve: {
+      type: "string",
+      enum: ["linear", "exponential", "step"],
+      default: "linear",
+    },
+    // in meters, places within `fullDistance` count fully, places beyond `maxDistance` don't count
+    fullDistance: { type: "number", min: 0, default: 400 },
+    maxDistance: { type: "number", min: 1, default: 1600 },
+  },
+};
+
+const SCORE_SCHEMA = {
+  type: "object",
+  default: {},
+  properties: {
+    decay: SCORE_DECAY_SCHEMA,
+    // the scored categories, all `poi.types` with the same weight if empty
+    categories: {
+      type: "array",
+      default: [],
+      uniqueKey: "type",
+      items: {
+        type: "object",
+        properties: {
+          type: {
+            type: "string",
+            required: true,
+            knownValues: Object.keys(placeTypes),
+          },
+          weight: { type: "number", min: 0, default: 1 },
+          // the number of places needed for the full coverage of the category
+          count: { type: "number", integer: true, min: 1, default: 1 },
+          // overrides of the `decay` config for this category
+          decay: asPartialSchema(SCORE_DECAY_SCHEMA),
+        },
+      },
+    },
+  },
+};
+
+const TOUR_KEYFRAME_SCHEMA = {
+  type: "object",
+  properties: {
+    // the point the camera looks at
+    coordinates: COORDINATES_SCHEMA,
+    // in degrees, clockwise from north
+    heading: { type: "number", default: 0 },
+    // in degrees, negative values look down
+    pitch: { type: "number", min: -90, max: 0, default: -30 },
+    // the distance between the camera and the point in meters
+    range: { type: "number", min: 1, default: 800 },
+    // the seconds to move from the previous keyframe, of the first keyframe: to fly to the start
+    duration: { type: "number", min: 0, default: 3 },
+    easing: {
+      type: "string",
+      enum: ["linear", "ease-in", "ease-out", "ease-in-out"],
+      default: "ease-in-out",
+    },
+    // the place ID of a POI which is selected when the keyframe is reached
+    poi: { type: "string" },
+  },
+};
+
+// recorded and scripted camera flights (see `camera-tour.js`)
+const TOURS_SCHEMA = {
+  type: "array",
+  default: [],
+  uniqueKey: "name",
+  items: {
+    type: "object",
+    properties: {
+      name: { type: "string", required: true },
+      // the text shown in the tour list, defaults to the name
+      label: { type: "string" },
+      // whether the tour starts again from the first keyframe when it ends
+      loop: { type: "boolean", default: false },
+      keyframes: {
+        type: "array",
+        required: true,
+        minItems: 1,
+        items: TOUR_KEYFRAME_SCHEMA,
+      },
+    },
+  },
+};
+
+// a guided tour over POIs and other places with a caption for each stop (see `story.js`)
+const STORY_SCHEMA = {
+  type: "object",
+  default: {},
+  properties: {
+    // the seconds the story stays at a stop before it moves on to the next one
+    dwell: { type: "number", min: 1, default: 10 },
+    // the seconds of the flight to a stop
+    flightDuration: { type: "number", min: 0, default: 3 },
+    // the distance between the camera and a stop in meters
+    range: { type: "number", min: 1, default: 300 },
+    // whether the details of a POI are shown in the sidebar while the story stays at it
+    openSidebar: { type: "boolean", default: false },
+    stops: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        properties: {
+          // the place ID of a POI, or the `coordinates` of another place
+          poi: { type: "string" },
+          coordinates: { ...COORDINATES_SCHEMA, required: false },
+          // the title of the caption, defaults to the name of the POI
+          title: { type: "string" },
+          // the narrative text of the caption
+          text: { type: "string" },
+          // overrides of the `dwell` and `range` config for this stop
+          dwell: { type: "number", min: 1 },
+          range: { type: "number", min: 1 },
+        },
+      },
+    },
+  },
+};
+
+// resets unattended screens, e.g. in a lobby, after a time without interaction (see `kiosk.js`)
+const KIOSK_SCHEMA = {
+  type: "object",
+  default: {},
+  properties: {
+    enabled: { type: "boolean", default: false },
+    // the seconds without interaction until the map is reset to the location
+    idleTimeout: { type: "number", min: 5, default: 120 },
+    // cycles through the highlighted POIs after the reset until someone interacts with the map
+    attractLoop: {
+      type: "object",
+      default: {},
+      properties: {
+        enabled: { type: "boolean", default: false },
+        // the place IDs of the highlighted POIs, all POIs shown on the map if empty
+        pois: { type: "array", default: [], items: { type: "string" } },
+        // the seconds at a POI before the loop moves on to the next one, including the flight
+        interval: { type: "number", min: 5, default: 15 },
+        // the distance between the camera and a POI in meters
+        range: { type: "number", min: 1, default: 300 },
+      },
+    },
+  },
+};
+
+/**
+ * The schema of the `NeighbourhoodDiscoveryConfig` (see `src/types/config.d.ts`).
+ *
+ * Every node describes one value of the configuration:
+ * - `type`: "object" | "array" | "number" | "string" | "boolean"
+ * - `oneOf`: a list of schema nodes of different types, the one matching the type of the value is used
+ * - `required`: whether the value has to be set (only used if there is no `default`)
+ * - `default`: the value used when the key is missing
+ * - `min` / `max` / `integer`: the allowed range of a number
+ * - `enum`: the allowed values of a string
+ * - `knownValues`: the expected values of a string, other values result in a warning
+ * - `properties`: the schema of each key of an object
+ * - `additionalProperties`: the schema of each value of an object with arbitrary keys
+ * - `items`: the schema of each entry of an array
+ * - `minItems`: the minimum number of entries of an array
+ * - `uniqueKey`: the key of the array entries (objects) whose values have to be unique
+ */
+export const CONFIG_SCHEMA = {
+  type: "object",
+  required: true,
+  properties: {
+    // older versions are migrated when loading the config (see `config-migrations.js`)
+    version: {
+      type: "number",
+      integer: true,
+      min: CONFIG_VERSION,
+      max: CONFIG_VERSION,
+      default: CONFIG_VERSION,
+    },
+    location: {
+      required: true,
+      oneOf: [
+        // a single location
+        {
+          type: "object",
+          properties: {
+            coordinates: COORDINATES_SCHEMA,
+            boundary: BOUNDARY_SCHEMA,
+          },
+        },
+        // a list of named locations which can be switched on the map
+        {
+          type: "array",
+          minItems: 1,
+          uniqueKey: "name",
+          items: {
+            type: "object",
+            properties: {
+              // identifies the location, e.g. in the URL
+              name: { type: "string", required: true },
+              // the text shown in the location switcher, defaults to the name
+              label: { type: "string" },
+              coordinates: COORDINATES_SCHEMA,
+              // the outline of the neighbourhood or parcel
+              boundary: BOUNDARY_SCHEMA,
+              // overrides of the `poi` and `camera` config for this location
+              poi: asPartialSchema(POI_SCHEMA),
+              camera: asPartialSchema(CAMERA_SCHEMA),
+            },
+          },
+        },
+      ],
+    },
+    poi: POI_SCHEMA,
+    camera: CAMERA_SCHEMA,
+    markers: MARKERS_SCHEMA,
+    score: SCORE_SCHEMA,
+    rings: RINGS_SCHEMA,
+    boundaryStyle: BOUNDARY_STYLE_SCHEMA,
+    tours: TOURS_SCHEMA,
+    story: STORY_SCHEMA,
+    kiosk: KIOSK_SCHEMA,
+  },
+};
+
+/**
+ * Checks whether a value matches a schema type.
+ */
+const TYPE_CHECKS = {
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  string: (value) => typeof value === "string",
+  boolean: (value) => typeof value === "boolean",
+};
+
+/**
+ * Returns the article and type name for an error message, e.g. "an object".
+ *
+ * @param {string} type - The schema type.
+ * @returns {string} The type name with its article.
+ */
+function describeType(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * Validates a single value against its schema node and returns the value with defaults filled in.
+ * Errors and warnings are collected in the passed `report`.
+ *
+ * @param {*} value - The value to validate.
+ * @param {Object} schema - The schema node of the value.
+ * @param {string} path - The dot-separated path of the value, used in messages.
+ * @param {{errors: string[], warnings: string[]}} report - The collected errors and warnings.
+ * @returns {*} The validated value including defaults.
+ */
+function validateValue(value, schema, path, report) {
+  const label = path || "config";
+
+  if (value === undefined) {
+    if ("default" in schema) {
+      // Validate the default as well to fill in the defaults of nested keys
+      return validateValue(structuredClone(schema.default), schema, path, report);
+    }
+    if (schema.required) {
+      report.errors.push(`${label}: is required`);
+    }
+    return undefined;
+  }
+
+  if (schema.oneOf) {
+    const matchingSchema = schema.oneOf.find(({ type }) =>
+      TYPE_CHECKS[type](value)
+    );
+
+    if (!matchingSchema) {
+      const types = schema.oneOf.map(({ type }) => describeType(type));
+      report.errors.push(
+        `${label}: expected ${types.join(" or ")}, got ${JSON.stringify(value)}`
+      );
+      return value;
+    }
+
+    return validateValue(value, matchingSchema, path, report);
+  }
+
+  if (!TYPE_CHECKS[schema.type](value)) {
+    report.errors.push(
+      `${label}: expected ${describeType(schema.type)}, got ${JSON.stringify(
+        value
+      )}`
+    );
+    return value;
+  }
+
+  if (schema.type === "number") {
+    if (schema.integer && !Number.isInteger(value)) {
+      report.errors.push(`${label}: expected an integer, got ${value}`);
+    }
+    if (
+      (schema.min !== undefined && value < schema.min) ||
+      (schema.max !== undefined && value > schema.max)
+    ) {
+      report.errors.push(
+        `${label}: expected a value between ${schema.min ?? "-Infinity"} and ${
+          schema.max ?? "Infinity"
+        }, got ${value}`
+      );
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    // Long enums are not listed in the message
+    const allowedValues =
+      schema.enum.length <= 10
+        ? `one of ${schema.enum.map((entry) => `"${entry}"`).join(", ")}`
+        : "a supported value";
+    report.errors.push(
+      `${label}: expected ${allowedValues}, got ${JSON.stringify(value)}`
+    );
+  }
+
+  if (schema.knownValues && !schema.knownValues.includes(value)) {
+    report.warnings.push(`${label}: unknown value ${JSON.stringify(value)}`);
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report.errors.push(
+        `${label}: expected at least ${schema.minItems} entries, got ${value.length}`
+      );
+    }
+
+    if (schema.uniqueKey) {
+      const keyValues = new Set();
+
+      value.forEach((item, index) => {
+        const keyValue = item?.[schema.uniqueKey];
+
+        if (keyValue !== undefined && keyValues.has(keyValue)) {
+          report.errors.push(
+            `${label}[${index}].${schema.uniqueKey}: duplicate value ${JSON.stringify(
+              keyValue
+            )}`
+          );
+        }
+        keyValues.add(keyValue);
+      });
+    }
+
+    if (schema.items) {
+      return value.map((item, index) =>
+        validateValue(item, schema.items, `${label}[${index}]`, report)
+      );
+    }
+  }
+
+  if (schema.type === "object" && schema.properties) {
+    const result = {};
+
+    for (const key of Object.keys(value)) {
+      if (!(key in schema.properties)) {
+        report.warnings.push(
+          `${path ? `${path}.${key}` : key}: unknown key is ignored`
+        );
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      const propertyValue = validateValue(
+        value[key],
+        propertySchema,
+        path ? `${path}.${key}` : key,
+        report
+      );
+
+      if (propertyValue !== undefined) {
+        result[key] = propertyValue;
+      }
+    }
+
+    return result;
+  }
+
+  if (schema.type === "object" && schema.additionalProperties) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, propertyValue]) => [
+        key,
+        validateValue(
+          propertyValue,
+          schema.additionalProperties,
+          path ? `${path}.${key}` : key,
+          report
+        ),
+      ])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Merges the overrides of a location into a config section, like the nested objects
+ * of the camera config (e.g. `camera.flyover`) are merged when the location is selected.
+ *
+ * @param {Object} section - The config section, e.g. the `camera` config.
+ * @param {Object} [overrides] - The overrides of the location.
+ * @returns {Object} The config section including the overrides.
+ */
+function mergeLocationOverrides(section, overrides) {
+  return Object.fromEntries(
+    Object.entries({ ...section, ...overrides }).map(([key, value]) => [
+      key,
+      TYPE_CHECKS.object(value) && TYPE_CHECKS.object(section?.[key])
+        ? { ...section[key], ...value }
+        : value,
+    ])
+  );
+}
+
+/**
+ * Returns the locations of a configuration, each with its name (`undefined` for a single location)
+ * and its `poi` and `camera` config, including the overrides of the location.
+ *
+ * @param {Object} config - The validated configuration.
+ * @returns {Array<{name: string | undefined, poi: Object, camera: Object}>} The locations.
+ */
+function getLocationConfigs(config) {
+  const locations = Array.isArray(config.location)
+    ? config.location
+    : [config.location ?? {}];
+
+  return locations.map((location) => ({
+    name: location?.name,
+    poi: mergeLocationOverrides(config.poi, location?.poi),
+    camera: mergeLocationOverrides(config.camera, location?.camera),
+  }));
+}
+
+/**
+ * Checks the values which depend on other values of the configuration, e.g. the score categories
+ * on the searched `poi.types` or the ranges of the spiral. The problems are collected in the passed `report`.
+ *
+ * @param {Object} config - The validated configuration.
+ * @param {{errors: string[], warnings: string[]}} report - The collected errors and warnings.
+ */
+function validateConfigReferences(config, report) {
+  const locations = getLocationConfigs(config);
+  const scoreCategories = Array.isArray(config.score?.categories)
+    ? config.score.categories
+    : [];
+
+  scoreCategories.forEach(({ type }, index) => {
+    locations
+      .filter(({ poi }) => Array.isArray(poi.types) && !poi.types.includes(type))
+      .forEach(({ name }) =>
+        report.warnings.push(
+          `score.categories[${index}].type: ${JSON.stringify(type)} isn't one of the poi.types${
+            name === undefined ? "" : ` of the location ${JSON.stringify(name)}`
+          }, its places are never searched and it only scores with the poi.sources`
+        )
+      );
+  });
+
+  locations.forEach(({ name, camera }) => {
+    const locationLabel =
+      name === undefined ? "" : ` of the location ${JSON.stringify(name)}`;
+    const { minRange, maxRange } = camera.spiral ?? {};
+    const flyoverPath = camera.flyover?.path;
+
+    if (minRange > maxRange) {
+      report.warnings.push(
+        `camera.spiral.minRange: ${minRange} is greater than the maxRange ${maxRange}${locationLabel}, the ranges are swapped`
+      );
+    }
+
+    if (
+      camera.orbitType === "flyover" &&
+      (!Array.isArray(flyoverPath) || flyoverPath.length < 2)
+    ) {
+      report.warnings.push(
+        `camera.flyover.path: expected at least 2 coordinates for the "flyover" orbit${locationLabel}, the camera orbits like "fixed-orbit"`
+      );
+    }
+  });
+}
+
+/**
+ * Validates a configuration object against the `CONFIG_SCHEMA`.
+ *
+ * Missing optional keys are filled in with their documented defaults and unknown keys are dropped.
+ * The passed object is not modified.
+ *
+ * @param {*} config - The (parsed) configuration data to validate.
+ * @returns {{config: NeighbourhoodDiscoveryConfig, errors: string[], warnings: string[]}}
+ * The configuration including defaults, the path-qualified errors and the warnings (e.g. unknown keys).
+ *
+ * @example
+ * const { errors } = validateConfig({ location: {}, poi: { density: "30" } });
+ * // errors: [
+ * //   'location.coordinates: is required',
+ * //   'poi.density: expected a number, got "30"'
+ * // ]
+ */
+export function validateConfig(config) {
+  const report = { errors: [], warnings: [] };
+  const validatedConfig = validateValue(config, CONFIG_SCHEMA, "", report);
+
+  validateConfigReferences(validatedConfig ?? {}, report);
+
+  return { config: validatedConfig, ...report };
+}
+
+/**
+ * Returns the built-in default configuration, i.e. all documented defaults of the `CONFIG_SCHEMA`.
+ * Required values without a default (e.g. `location.coordinates`) are not part of it.
+ *
+ * @returns {Partial<NeighbourhoodDiscoveryConfig>} The default configuration.
+ */
+export function getDefaultConfig() {
+  const { config } = validateConfig({});
+  return config;
+}
+
+/**
+ * Returns the dot-separated paths and schema nodes of all values of the `CONFIG_SCHEMA`
+ * which are not nested objects, e.g. `["camera.speed", { type: "number", ... }]`.
+ *
+ * @param {Object} [schema] - The schema node to start from.
+ * @param {string} [path] - The path of the schema node.
+ * @returns {Array<[string, Object]>} The paths and schema nodes.
+ */
+export function getSchemaLeaves(schema = CONFIG_SCHEMA, path = "") {
+  // Of a union, the string variant is set as a whole (e.g. the URL of `location.boundary`),
+  // otherwise only the values of the (single) object variant can be set by path
+  if (schema.oneOf) {
+    const stringSchema = schema.oneOf.find(({ type }) => type === "string");
+    if (stringSchema) {
+      return [[path, stringSchema]];
+    }
+
+    const objectSchema = schema.oneOf.find(({ type }) => type === "object");
+    return objectSchema ? getSchemaLeaves(objectSchema, path) : [];
+  }
+
+  // The keys of maps (e.g. `markers.types`) are not known, so they can't be set by path
+  if (schema.additionalProperties) {
+    return [];
+  }
+
+  if (schema.type !== "object" || !schema.properties) {
+    return [[path, schema]];
+  }
+
+  return Object.entries(schema.properties).flatMap(([key, propertySchema]) =>
+    getSchemaLeaves(propertySchema, path ? `${path}.${key}` : key)
+  );
+}
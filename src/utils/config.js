@@ -12,6 +12,14 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import { CONFIG_VERSION, migrateConfig } from "./config-migrations.js";
+import {
+  getDefaultConfig,
+  getSchemaLeaves,
+  validateConfig,
+} from "./config-validation.js";
+import { showErrorOverlay } from "./error-overlay.js";
+
 /**
  * Function to deep freeze an object.
  *
@@ -37,41 +45,396 @@ function deepFreeze(object) {
 }
 
 /**
- * Asynchronously fetches and loads a configuration file in JSON format.
+ * Checks whether a value is a plain object (and not an array or null).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a plain object.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Deep merges the source object into a copy of the target object.
+ * Nested objects are merged key by key, while arrays and other values of the source replace the target value.
+ * `undefined` values of the source are skipped. Neither object is modified.
+ *
+ * @param {Object} target - The object to merge into.
+ * @param {Object} source - The object whose values take precedence.
+ * @returns {Object} The merged object.
+ *
+ * @example
+ * deepMerge({ camera: { speed: 1, orbitType: "fixed-orbit" } }, { camera: { speed: 2 } });
+ * // { camera: { speed: 2, orbitType: "fixed-orbit" } }
+ */
+export function deepMerge(target, source) {
+  const result = { ...target };
+
+  for (const [key, value] of Object.entries(source ?? {})) {
+    if (value === undefined) {
+      continue;
+    }
+
+    result[key] =
+      isPlainObject(value) && isPlainObject(result[key])
+        ? deepMerge(result[key], value)
+        : value;
+  }
+
+  return result;
+}
+
+/**
+ * Deep merges a partial configuration into a copy of the configuration like `deepMerge`.
+ * With a list of locations, a `location` object (e.g. of `#location.coordinates.lat=…`)
+ * is merged into the selected location instead of replacing the whole list.
+ *
+ * @param {Object} config - The configuration to merge into.
+ * @param {Object} partialConfig - The configuration values which take precedence.
+ * @param {string | null} [locationName] - The name of the selected location, the first location if not found.
+ * @returns {Object} The merged configuration.
+ */
+export function mergeConfig(config, partialConfig, locationName) {
+  const locations = config.location;
+
+  if (!Array.isArray(locations) || !isPlainObject(partialConfig?.location)) {
+    return deepMerge(config, partialConfig);
+  }
+
+  const selectedLocation =
+    locations.find(({ name }) => name === locationName) ?? locations[0];
+
+  return deepMerge(config, {
+    ...partialConfig,
+    location: locations.map((location) =>
+      location === selectedLocation
+        ? deepMerge(location, partialConfig.location)
+        : location
+    ),
+  });
+}
+
+/**
+ * Converts a string value (e.g. from a URL parameter) to the type of the given schema node.
+ * Values which can't be converted are returned as they are, so that the validation reports them.
+ *
+ * @param {string} value - The string value.
+ * @param {Object} schema - The schema node of the value.
+ * @returns {*} The converted value.
+ */
+function convertConfigValue(value, schema) {
+  switch (schema.type) {
+    case "number":
+      return value.trim() !== "" && !isNaN(value) ? Number(value) : value;
+    case "boolean":
+      return value === "true" ? true : value === "false" ? false : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Sets a value in a nested object by its dot-separated path, creating the intermediate objects.
+ *
+ * @param {Object} object - The object to modify.
+ * @param {string} path - The dot-separated path, e.g. "camera.speed".
+ * @param {*} value - The value to set.
+ */
+function setValueByPath(object, path, value) {
+  const keys = path.split(".");
+  const lastKey = keys.pop();
+
+  const parent = keys.reduce((current, key) => {
+    if (!isPlainObject(current[key])) {
+      current[key] = {};
+    }
+    return current[key];
+  }, object);
+
+  parent[lastKey] = value;
+}
+
+/**
+ * Creates a partial configuration from string values which are identified by their config path.
+ * Only paths of the config schema are used, their values are converted to the according types.
+ * Array values can either be passed as multiple values or as one comma-separated value.
+ *
+ * @param {(path: string) => string[]} getValues - Returns all string values for a config path.
+ * @returns {Partial<NeighbourhoodDiscoveryConfig>} The partial configuration.
+ */
+function createConfigFromStrings(getValues) {
+  const config = {};
+
+  for (const [path, schema] of getSchemaLeaves()) {
+    const values = getValues(path);
+
+    if (!values.length) {
+      continue;
+    }
+
+    const value =
+      schema.type === "array"
+        ? values
+            .flatMap((entry) => entry.split(","))
+            .map((entry) => entry.trim())
+            .filter(Boolean)
+            .map((entry) => convertConfigValue(entry, schema.items ?? {}))
+        : convertConfigValue(values[values.length - 1], schema);
+
+    setValueByPath(config, path, value);
+  }
+
+  return config;
+}
+
+/**
+ * Returns the partial configuration defined by URL search parameters named by their config path,
+ * e.g. `?camera.speed=2&poi.types=bar&poi.types=cafe`.
+ *
+ * @param {URLSearchParams} params - The URL search parameters.
+ * @returns {Partial<NeighbourhoodDiscoveryConfig>} The partial configuration.
+ */
+export function parseConfigParameters(params) {
+  return createConfigFromStrings((path) => params.getAll(path));
+}
+
+/**
+ * Returns the partial configuration defined in the current page URL.
+ * Both the query (`?camera.speed=2`) and the hash (`#camera.speed=2`) are read, the hash takes precedence.
+ *
+ * @returns {Partial<NeighbourhoodDiscoveryConfig>} The partial configuration.
+ */
+export function getUrlConfig() {
+  const queryParams = new URLSearchParams(window.location.search);
+  const hashParams = new URLSearchParams(window.location.hash.replace("#", ""));
+
+  return deepMerge(
+    parseConfigParameters(queryParams),
+    parseConfigParameters(hashParams)
+  );
+}
+
+/**
+ * Returns the partial configuration defined by `data-*` attributes of an element.
+ * The attribute name is the config path in kebab case, e.g. `data-camera-speed="2"`
+ * for `camera.speed` or `data-poi-types="bar,cafe"` for `poi.types`.
+ *
+ * @param {HTMLElement} element - The element to read the data attributes from.
+ * @returns {Partial<NeighbourhoodDiscoveryConfig>} The partial configuration.
+ */
+export function getDataAttributeConfig(element) {
+  return createConfigFromStrings((path) => {
+    // e.g. "poi.searchRadius" is `data-poi-search-radius` and therefore `dataset.poiSearchRadius`
+    const datasetKey = path.replace(/\.([a-z])/g, (_, character) =>
+      character.toUpperCase()
+    );
+    const value = element.dataset[datasetKey];
+
+    return value === undefined ? [] : [value];
+  });
+}
+
+/**
+ * Asynchronously fetches and parses a configuration file in JSON format.
+ * Files of an older config version are migrated to the current `CONFIG_VERSION`,
+ * a deprecation warning lists the fields that were rewritten.
+ *
+ * @param {string} configUrl - The URL of the configuration file to be fetched.
+ * @returns {Promise<Partial<NeighbourhoodDiscoveryConfig>>} The parsed configuration data.
+ */
+async function fetchConfig(configUrl) {
+  const configResponse = await fetch(configUrl);
+
+  if (!configResponse.ok) {
+    throw new Error(`${configUrl} responded with status ${configResponse.status}`);
+  }
+
+  const { config, fromVersion, rewrittenFields } = migrateConfig(
+    await configResponse.json()
+  );
+
+  if (fromVersion < CONFIG_VERSION) {
+    const rewrittenFieldsMessage = rewrittenFields.length
+      ? `The following fields were rewritten: ${rewrittenFields.join(", ")}. `
+      : "";
+
+    console.warn(
+      `Config: ${configUrl} uses the deprecated config version ${fromVersion} and was migrated to version ${CONFIG_VERSION}. ` +
+        `${rewrittenFieldsMessage}Please update the file and set "version": ${CONFIG_VERSION}.`
+    );
+  }
+
+  return config;
+}
+
+/**
+ * Asynchronously loads the configuration from multiple layers.
  *
+ * The layers are deep merged in the following order, later layers take precedence:
+ * 1. The built-in defaults (see `CONFIG_SCHEMA` in `config-validation.js`)
+ * 2. The configuration files in JSON format, in the given order
+ * 3. The `data-*` attributes of the host element (see `getDataAttributeConfig`)
+ * 4. The URL query and hash parameters (see `getUrlConfig`)
+ *
+ * The merged configuration is validated against the `NeighbourhoodDiscoveryConfig` schema.
  * If successful, the configuration data is returned for use in the application.
  * The returned configuration object is deep-frozen to prevent modifications.
  *
- * If an error occurs during the fetch or parsing, an error message is thrown.
+ * If an error occurs during the fetch, parsing or validation, an error overlay is shown
+ * on top of the map and an error message is thrown.
  *
- * @param {string} configUrl - The URL of the configuration file to be fetched.
- * @returns {Object} A Promise that resolves with the loaded and parsed configuration data.
+ * @param {string | string[]} configUrls - The URL(s) of the configuration file(s) to be fetched.
+ * @param {Object} [options] - The options for the additional configuration layers.
+ * @param {HTMLElement} [options.hostElement] - The element whose `data-*` attributes override the config files.
+ * @param {string | null} [options.locationName] - The selected location, which the `location` values
+ * of the `data-*` attributes and the URL parameters override if there is a list of locations.
+ * @param {boolean} [options.useUrlParameters=true] - Whether the URL parameters override the config.
+ * @returns {Promise<NeighbourhoodDiscoveryConfig>} A Promise that resolves with the loaded and merged configuration data.
  *
- * @throws {string} If an error occurs during the fetch or parsing, a descriptive error message is thrown.
+ * @throws {string} If an error occurs during the fetch, parsing or validation, a descriptive error message is thrown.
  *
  * @example
  * // Usage example:
- * const configUrl = "path/to/config.json";
  * try {
- *   const configData = await loadConfig(configUrl);
+ *   const configData = await loadConfig(["config.json", "overrides.json"], {
+ *     hostElement: document.querySelector("main"),
+ *   });
  *   console.log('Configuration loaded successfully:', configData);
  * } catch (error) {
  *   console.error('Error loading config:', error);
  * }
  */
-export async function loadConfig(configUrl) {
-  try {
-    // Fetch the configuration data from the specified URL.
-    const configResponse = await fetch(configUrl);
-    // Parse the JSON data
-    const configData = await configResponse.json();
-
-    // Freeze the config object with all its properties
-    deepFreeze(configData);
+export async function loadConfig(
+  configUrls,
+  { hostElement, locationName, useUrlParameters = true } = {}
+) {
+  let configFiles;
 
-    return configData;
+  try {
+    // Fetch and parse all configuration files in parallel
+    configFiles = await Promise.all([configUrls].flat().map(fetchConfig));
   } catch (error) {
     // Handle and report any errors during the process.
+    showErrorOverlay("The configuration could not be loaded", [String(error)]);
     throw `Failed to load and parse configuration data: ${error}`;
   }
+
+  const configLayers = [
+    getDefaultConfig(),
+    ...configFiles,
+    hostElement ? getDataAttributeConfig(hostElement) : {},
+    useUrlParameters ? getUrlConfig() : {},
+  ];
+  const configData = configLayers.reduce(
+    (mergedConfig, configLayer) =>
+      mergeConfig(mergedConfig, configLayer, locationName),
+    {}
+  );
+
+  // Check the config and fill in the defaults
+  const { config, errors, warnings } = validateConfig(configData);
+
+  warnings.forEach((warning) => console.warn(`Config: ${warning}`));
+
+  if (errors.length) {
+    showErrorOverlay("The configuration is invalid", errors);
+    throw `Invalid configuration data:\n${errors.join("\n")}`;
+  }
+
+  // Freeze the config object with all its properties
+  deepFreeze(config);
+
+  return config;
+}
+
+/**
+ * Deep merges a partial configuration into the given configuration and validates the result.
+ * Neither configuration is modified, the returned configuration is deep-frozen.
+ *
+ * @param {NeighbourhoodDiscoveryConfig} currentConfig - The configuration to update.
+ * @param {Partial<NeighbourhoodDiscoveryConfig>} partialConfig - The configuration values to change.
+ * @param {string | null} [locationName] - The selected location, which a `location` object changes
+ * if there is a list of locations (see `mergeConfig`).
+ * @returns {NeighbourhoodDiscoveryConfig} The updated configuration.
+ *
+ * @throws {Error} If the updated configuration is invalid, listing all validation errors.
+ */
+export function updateConfig(currentConfig, partialConfig, locationName) {
+  const { config, errors, warnings } = validateConfig(
+    mergeConfig(currentConfig, partialConfig, locationName)
+  );
+
+  warnings.forEach((warning) => console.warn(`Config: ${warning}`));
+
+  if (errors.length) {
+    throw new Error(`Invalid configuration data:\n${errors.join("\n")}`);
+  }
+
+  return deepFreeze(config);
+}
+
+/**
+ * Returns the dot-separated paths of all values that differ between two configurations.
+ * Arrays are compared as a whole, e.g. a changed `poi.types` entry results in `["poi.types"]`.
+ *
+ * @param {Object} previousConfig - The previous configuration.
+ * @param {Object} nextConfig - The next configuration.
+ * @param {string} [path] - The path of the compared objects.
+ * @returns {string[]} The paths of the changed values.
+ */
+export function getChangedConfigPaths(previousConfig, nextConfig, path = "") {
+  const keys = new Set([
+    ...Object.keys(previousConfig ?? {}),
+    ...Object.keys(nextConfig ?? {}),
+  ]);
+
+  return [...keys].flatMap((key) => {
+    const previousValue = previousConfig?.[key];
+    const nextValue = nextConfig?.[key];
+    const keyPath = path ? `${path}.${key}` : key;
+
+    if (isPlainObject(previousValue) && isPlainObject(nextValue)) {
+      return getChangedConfigPaths(previousValue, nextValue, keyPath);
+    }
+
+    return JSON.stringify(previousValue) === JSON.stringify(nextValue)
+      ? []
+      : [keyPath];
+  });
+}
+
+/**
+ * Returns the locations of a configuration as a list of named entries.
+ * A single location (`location.coordinates`) is returned as the only entry, named "default".
+ *
+ * @param {NeighbourhoodDiscoveryConfig} config - The configuration.
+ * @returns {LocationEntry[]} The location entries.
+ */
+export function getLocationEntries(config) {
+  const { location } = config;
+
+  return Array.isArray(location) ? location : [{ name: "default", ...location }];
+}
+
+/**
+ * Returns the configuration for one of its locations: the `location` is the selected entry
+ * and the `poi` and `camera` overrides of the entry are deep merged into the according sections.
+ * If there is no location with the given name, the first location is used.
+ *
+ * @param {NeighbourhoodDiscoveryConfig} config - The configuration.
+ * @param {string} [locationName] - The name of the location.
+ * @returns {ResolvedConfig} The deep-frozen configuration for the location.
+ */
+export function resolveLocationConfig(config, locationName) {
+  const locationEntries = getLocationEntries(config);
+  const { poi, camera, ...location } =
+    locationEntries.find(({ name }) => name === locationName) ??
+    locationEntries[0];
+
+  return deepFreeze({
+    ...config,
+    location,
+    poi: deepMerge(config.poi, poi),
+    camera: deepMerge(config.camera, camera),
+  });
 }
@@ -13,109 +13,200 @@
 // limitations under the License.
 
 import { updateSidebarElements, toggleSidebar } from "../sidebar/sidebar.js";
-import { cesiumViewer, performFlyTo } from "./cesium.js";
+import {
+  autoOrbitController,
+  cesiumViewer,
+  getCesiumColor,
+  performFlyTo,
+} from "./cesium.js";
+import {
+  getClusterPois,
+  pinMarker,
+  setClusterableMarkers,
+  zoomToCluster,
+} from "./marker-clusters.js";
+import {
+  setHoveredLabel,
+  setLabeledMarkers,
+  setSelectedLabel,
+} from "./label-layout.js";
+import { getMarkerImage } from "./marker-images.js";
+import { hideMarkerPreview, showMarkerPreview } from "./marker-preview.js";
+import { clearDistanceLine, showDistanceLine } from "./distance-line.js";
+import { getMarkerStyle, getPoiCategory } from "./marker-theme.js";
+import { getDefaultConfig } from "./config-validation.js";
 
 // The ID of the center marker
 const CENTER_MARKER_ID = "center";
 
-// The size of the marker in relation to the original SVG size.
-// We are scaling it down to help preserve clarity when increasing marker size for the selected marker.
-const defaultMarkerScale = 0.744;
+// The style of the center marker, which is not affected by the `markers` config
+const centerMarkerStyle = {
+  iconUrl: "assets/icons/poi/center.svg",
+  color: "#ea4335",
+};
 
-// Determines the distance between marker and label
-const defaultLabelOffset = -60;
+// Determines the distance between marker and label for a marker scale of 1,
+// it is scaled with the marker (see `markers.scale` and `markers.selectedScale` in the config)
+const labelOffsetPerScale = -80;
 
 // Determines on which distance the marker label will show
 const defaultLabelVisibility = new Cesium.NearFarScalar(650, 1, 1000, 0);
 
 /**
  * The instance of the click handler, used when clicking a marker on the map
- * This has to be destroyed/reset manually when changing the location and handling new POIs
+ * It is created once and looks up the clicked POI in the current `markers`
  * @type {Cesium.ScreenSpaceEventHandler}
  */
 let markerClickHandler = null;
 
 /**
  * The instance of the hover handler, used when hovering a marker on the map
- * This has to be destroyed/reset manually when changing the hover location for new POIs
+ * It is created once, like the click handler
  * @type {Cesium.ScreenSpaceEventHandler}
  */
 let markerHoverHandler = null;
 
+/**
+ * The markers on the map by POI ID, including the center marker.
+ * The `key` identifies the rendered data of a marker, a changed key rerenders the marker.
+ * @type {Map<string, {entity: Cesium.Entity, poi: Poi, style: MarkerStyle, key: string}>}
+ */
+const markers = new Map();
+
+/**
+ * The `markers` config of the markers on the map, which sets their icons, colors, sizes and labels
+ * @type {MarkersConfig}
+ */
+let markersConfig = getDefaultConfig().markers;
+
+/**
+ * The searched types (`poi.types`) of the markers on the map, which decide the type of a POI
+ * for its marker style and category
+ * @type {string[]}
+ */
+let poiTypes = [];
+
+/**
+ * The ID of the latest `createMarkers` call, to discard the new markers of outdated calls
+ * @type {number}
+ */
+let markersUpdateId = 0;
+
 /**
  * @type {string} The ID of the selected marker / place
  */
 let selectedMarkerId = null;
 
 /**
- * Asynchronously fetches and parses SVG content from a URL.
- * @param {string} url - URL of the SVG resource.
- * @returns {Promise<Element>} A promise resolving to the SVG element.
- * @throws {Error} Throws an error if the fetch request fails.
+ * The POIs and the center coordinates of the markers on the map, including hidden categories
+ * @type {{pois: Poi[], centerCoordinates: google.maps.LatLngLiteral | null}}
  */
-async function fetchSvgContent(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch SVG from ${url}.`);
-  }
-  return new DOMParser().parseFromString(await response.text(), "image/svg+xml")
-    .documentElement;
-}
+let markerPois = { pois: [], centerCoordinates: null };
+
+/**
+ * The categories whose markers are hidden with the legend
+ * @type {Set<string>}
+ */
+const hiddenCategories = new Set();
 
 /**
- * Sets attributes on an SVG element.
- * @param {Element} svgElement - SVG element to modify.
- * @param {Object} attributes - Key-value pairs of attributes.
+ * Checks whether the markers of a POI are hidden with the legend.
+ *
+ * @param {Poi} poi - The POI.
+ * @returns {boolean} Whether the category of the POI is hidden.
  */
-function setSvgAttributes(svgElement, attributes) {
-  Object.entries(attributes).forEach(([key, value]) =>
-    svgElement.setAttribute(key, value)
+function isPoiHidden(poi) {
+  return hiddenCategories.has(
+    getPoiCategory(poi, poiTypes, markersConfig)
   );
 }
 
 /**
- * Encodes an SVG element to a data URI format.
- * @param {Element} svgElement - SVG element to encode.
- * @returns {string} Data URI of the SVG element.
+ * Returns the POIs of all markers, including the markers of hidden categories.
+ *
+ * @returns {{pois: Poi[], centerCoordinates: google.maps.LatLngLiteral | null}}
+ * The POIs and the center coordinates of the map.
  */
-function encodeSvgToDataUri(svgElement) {
-  return `data:image/svg+xml,${encodeURIComponent(svgElement.outerHTML)}`;
+export function getMarkerPois() {
+  return markerPois;
 }
 
 /**
- * Creates a marker SVG for a given location.
- * @param {Object} markerData - Marker data - either a poi or the center marker.
- * @returns {Promise<string>} A promise resolving to the marker SVG's data URI.
+ * Returns the POIs which are currently shown as markers on the map, e.g. to export them.
+ * The POIs of categories which are hidden with the legend are left out.
+ *
+ * @returns {{pois: Poi[], centerCoordinates: google.maps.LatLngLiteral | null}}
+ * The POIs and the center coordinates of the map.
  */
-async function createMarkerSvg(markerData) {
-  const baseSvgElement = await fetchSvgContent("assets/icons/empty-marker.svg");
-  const iconSvgElement = await fetchSvgContent(
-    `${markerData.icon_mask_base_uri}.svg`
+export function getDisplayedPois() {
+  return {
+    ...markerPois,
+    pois: markerPois.pois.filter((poi) => !isPoiHidden(poi)),
+  };
+}
+
+/**
+ * Returns the categories of the POI markers in the order of the POIs,
+ * with the style of their first marker, their number of markers and their visibility.
+ *
+ * @returns {Array<{category: string, style: MarkerStyle, count: number, isVisible: boolean}>}
+ * The marker categories.
+ */
+export function getMarkerCategories() {
+  const categories = new Map();
+
+  for (const poi of markerPois.pois) {
+    const category = getPoiCategory(poi, poiTypes, markersConfig);
+
+    if (!categories.has(category)) {
+      categories.set(category, {
+        category,
+        style: getMarkerStyle(poi, poiTypes, markersConfig),
+        count: 0,
+        isVisible: !hiddenCategories.has(category),
+      });
+    }
+
+    categories.get(category).count++;
+  }
+
+  return [...categories.values()];
+}
+
+/**
+ * Notifies the legend that the markers or the visibility of their categories changed.
+ */
+function dispatchMarkersChange() {
+  window.dispatchEvent(
+    new CustomEvent("markerschange", {
+      detail: { categories: getMarkerCategories() },
+    })
   );
+}
 
-  // Configurations for the base and icon SVG elements
-  const baseConfig = {
-    fill: markerData.icon_background_color,
-    height: markerData.isCenterLocation ? "70" : "60",
-    width: markerData.isCenterLocation ? "96" : "80",
-    stroke: markerData.isCenterLocation ? "#8C2820" : "white",
-  };
+/**
+ * Shows or hides the markers of a category on the map, without requesting the POIs again.
+ * A selected marker of a hidden category is deselected.
+ *
+ * @param {string} category - The category, see `getMarkerCategories`.
+ * @param {boolean} isVisible - Whether the markers of the category are shown.
+ */
+export function setCategoryVisibility(category, isVisible) {
+  if (isVisible) {
+    hiddenCategories.delete(category);
+  } else {
+    hiddenCategories.add(category);
+  }
 
-  const iconConfig = {
-    width: markerData.isCenterLocation ? "18" : "15",
-    height: markerData.isCenterLocation ? "18" : "15",
-    x: markerData.isCenterLocation ? "14.5" : "16.5",
-    y: markerData.isCenterLocation ? "14.5" : "16.5",
-    fill: "white",
-    border: "none",
-    stroke: "none",
-  };
+  const selectedPoi = markers.get(selectedMarkerId)?.poi;
 
-  setSvgAttributes(baseSvgElement, baseConfig);
-  setSvgAttributes(iconSvgElement, iconConfig);
-  baseSvgElement.appendChild(iconSvgElement);
+  if (selectedPoi && isPoiHidden(selectedPoi)) {
+    setSelectedMarker(null);
+    toggleSidebar("close");
+  }
 
-  return encodeSvgToDataUri(baseSvgElement);
+  updateMarkerLayout();
+  dispatchMarkersChange();
 }
 
 /**
@@ -145,6 +236,15 @@ function truncateName(name) {
   return name;
 }
 
+/**
+ * Helper function to get the offset between a marker and its label.
+ * @param {number} scale - The scale of the marker.
+ * @returns {Cesium.Cartesian2} The pixel offset of the label.
+ */
+function getLabelOffset(scale) {
+  return new Cesium.Cartesian2(0, labelOffsetPerScale * scale);
+}
+
 /**
  * Helper function to create a polyline entity configuration.
  * @param {Cesium.Cartesian3} options.start - Starting coordinate.
@@ -155,7 +255,7 @@ function getPolylineConfiguration({ start, end }) {
   return {
     polyline: {
       positions: [start, end],
-      material: Cesium.Color.WHITE,
+      material: getCesiumColor(markersConfig.lineColor),
     },
   };
 }
@@ -165,33 +265,33 @@ function getPolylineConfiguration({ start, end }) {
  * @param {Cesium.Cartesian3} options.position - The position to place the marker.
  * @param {string} options.name - The location name to display on the marker.
  * @param {number} options.id - ID for the marker (Place ID or custom ID).
- * @param {string} options.markerSvg - Data URI for the marker SVG.
+ * @param {string} options.markerImage - Data URI for the marker image.
  * @returns {Cesium.Entity.ConstructorOptions} Marker entity configuration.
  */
-function getMarkerEntityConfiguration({ position, id, name, markerSvg }) {
+function getMarkerEntityConfiguration({ position, id, name, markerImage }) {
   return {
     position,
     id,
     label: {
-      font: "20px, var(--font-family)",
+      font: `${markersConfig.label.fontSize}px ${markersConfig.label.fontFamily}`,
       text: truncateName(name),
       style: Cesium.LabelStyle.FILL_AND_OUTLINE,
       outlineColor: Cesium.Color.GREY,
       outlineWidth: 1,
       verticalOrigin: Cesium.VerticalOrigin.TOP,
-      pixelOffset: new Cesium.Cartesian2(0, defaultLabelOffset),
+      pixelOffset: getLabelOffset(markersConfig.scale),
       scaleByDistance: defaultLabelVisibility,
     },
     billboard: {
-      image: markerSvg,
-      scale: defaultMarkerScale,
+      image: markerImage,
+      scale: markersConfig.scale,
       verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
     },
   };
 }
 
 /**
- * Sets the selected marker and scales it to 1 while scaling the previous marker back to the default scale.
+ * Sets the selected marker and scales it up while scaling the previous marker back to the default scale.
  * @param {Cesium.Entity} marker - The entity object representing the selected marker.
  */
 export function setSelectedMarker(marker) {
@@ -199,21 +299,43 @@ export function setSelectedMarker(marker) {
     selectedMarkerId && cesiumViewer.entities.getById(selectedMarkerId);
 
   if (selectedMarker) {
-    selectedMarker.billboard.scale = defaultMarkerScale;
-    selectedMarker.label.pixelOffset = new Cesium.Cartesian2(
-      0,
-      defaultLabelOffset
-    );
+    selectedMarker.billboard.scale = markersConfig.scale;
+    selectedMarker.label.pixelOffset = getLabelOffset(markersConfig.scale);
   }
 
   if (marker) {
-    // Scale the new selected marker to 1
-    marker.billboard.scale = 1;
-    marker.label.pixelOffset = new Cesium.Cartesian2(0, -80);
+    // Scale the new selected marker up
+    marker.billboard.scale = markersConfig.selectedScale;
+    marker.label.pixelOffset = getLabelOffset(markersConfig.selectedScale);
   }
 
   // Update the selected marker ID
   selectedMarkerId = marker?.id || null;
+
+  // The selected marker is always visible and never part of a cluster,
+  // its label is never hidden by other labels
+  pinMarker(selectedMarkerId);
+  setSelectedLabel(selectedMarkerId);
+
+  updateDistanceLine();
+}
+
+/**
+ * Shows the distance from the center to the selected marker, or removes it if no marker is selected.
+ */
+function updateDistanceLine() {
+  const selectedPoi = markers.get(selectedMarkerId)?.poi;
+  const { centerCoordinates } = markerPois;
+
+  if (selectedPoi && centerCoordinates) {
+    showDistanceLine(
+      centerCoordinates,
+      selectedPoi.coordinates,
+      markersConfig.distanceLine
+    );
+  } else {
+    clearDistanceLine();
+  }
 }
 
 /**
@@ -223,9 +345,8 @@ export function setSelectedMarker(marker) {
  * 2. The sidebar is opened and filled with details about the place
  * 3. The clicked marker is scaled up and the previously clicked marker is scaled down
  * @param {object} click - The click event object
- * @param {google.maps.places.PlaceResult[]} pois - the current pois on the map
  */
-async function handleClickOnMarker(click, pois) {
+async function handleClickOnMarker(click) {
   // Raycast from click position returning intercepting object
   const pickedObject = cesiumViewer.scene.pick(click.position);
   // check if "primitive" property is available... (not available when clicking sky for example)
@@ -235,6 +356,13 @@ async function handleClickOnMarker(click, pois) {
 
   // get primitive from object
   const { primitive } = pickedObject;
+
+  // zoom into a clicked cluster until its markers are shown separately
+  if (primitive instanceof Cesium.Billboard && getClusterPois(primitive.id)) {
+    await zoomToCluster(primitive.id);
+    return;
+  }
+
   // check if a billboard (marker) was clicked
   // if not or if the center marker was clicked, return and do nothing
   if (
@@ -244,39 +372,63 @@ async function handleClickOnMarker(click, pois) {
     return;
   }
 
-  const marker = primitive.id;
-  const placeId = marker.id;
-  const currentPoi = pois.find((poi) => poi.place_id === placeId);
+  const placeId = primitive.id.id;
+  const currentPoi = markers.get(placeId)?.poi;
+
+  // the marker might have been removed while the click was handled
+  if (!currentPoi) {
+    return;
+  }
 
   // if the same marker is clicked again, set the selected marker to null and close the sidebar
   if (selectedMarkerId === placeId) {
     setSelectedMarker(null);
     toggleSidebar("close");
+    await flyToPoi(currentPoi);
   } else {
-    setSelectedMarker(marker);
-    toggleSidebar("open");
-    // fill the sidebar with details about a place, identifiable by the place id
-    updateSidebarElements(placeId);
+    await selectPoi(currentPoi);
   }
+}
 
+/**
+ * Moves the camera close to a POI.
+ *
+ * @param {Poi} poi - The POI.
+ */
+async function flyToPoi(poi) {
   // range is the distance between the camera and the marker
   // we subtract 70 (meters) to make sure the label is visible when the camera is close to the marker
   const range = defaultLabelVisibility.near - 70;
 
-  // move the camera to the clicked marker
-  await performFlyTo(currentPoi.geometry.location.toJSON(), {
+  await performFlyTo(poi.coordinates, {
     range,
     duration: 1,
   });
 }
 
+/**
+ * Selects a POI like a click on its marker: the marker is scaled up,
+ * the sidebar is opened with the details of the POI and the camera moves to it.
+ * POIs without a marker (e.g. removed by the density reduction) are shown in the sidebar as well.
+ *
+ * @param {Poi} poi - The POI to select.
+ */
+export async function selectPoi(poi) {
+  setSelectedMarker(markers.get(poi.id)?.entity ?? null);
+  toggleSidebar("open");
+  // fill the sidebar with details about a place, identifiable by the place id
+  updateSidebarElements(poi.id);
+
+  await flyToPoi(poi);
+}
+
 /**
  * Adds an event handler to the viewer which is used to pick an object that is under the 2d context of the mouse/pointer.
- * @param {google.maps.places.PlaceResult[]} pois - the current pois on the map
+ * The handler is only created once, as it handles the clicks of all current markers.
  */
-function createMarkerClickHandler(pois) {
+function createMarkerClickHandler() {
   if (markerClickHandler) {
-    markerClickHandler.destroy();
+    return;
   }
 
   // "Screen" click handler
@@ -289,14 +441,28 @@ function createMarkerClickHandler(pois) {
 
   // Basically an onClick statement
   markerClickHandler.setInputAction((click) => {
-    handleClickOnMarker(click, pois);
+    handleClickOnMarker(click);
   }, Cesium.ScreenSpaceEventType.LEFT_CLICK); // This defines that we want to listen for a click event
 }
 
 let hoveredMarker = null;
 
 /**
- * Changes the cursors appearance when hovering over a POI marker.
+ * Resets the label and hides the preview card of the hovered marker, if a marker is hovered.
+ */
+function resetHoveredMarker() {
+  if (!hoveredMarker) {
+    return;
+  }
+
+  hoveredMarker.id.label.scaleByDistance = defaultLabelVisibility;
+  hoveredMarker = null;
+  setHoveredLabel(null);
+  hideMarkerPreview();
+}
+
+/**
+ * Changes the cursors appearance and shows a preview card when hovering over a POI marker.
  * When hovering the center marker, the cursor will not change.
  *
  * @param {object} movement - The hover movement event
@@ -304,13 +470,23 @@ let hoveredMarker = null;
 function handleHover(movement) {
   const pickedObject = cesiumViewer.scene.pick(movement.endPosition);
 
+  // e.g. the sky, which is not picked
   if (!pickedObject || !pickedObject.primitive) {
+    document.querySelector("body").style.cursor = "default";
+    resetHoveredMarker();
     return;
   }
 
   // get primitive from object
   const { primitive } = pickedObject;
 
+  // Clusters are clickable, but have no label to show
+  if (primitive instanceof Cesium.Billboard && getClusterPois(primitive.id)) {
+    document.querySelector("body").style.cursor = "pointer";
+    resetHoveredMarker();
+    return;
+  }
+
   // check if a billboard (marker) is being hovered
   if (
     primitive instanceof Cesium.Billboard &&
@@ -327,15 +503,18 @@ function handleHover(movement) {
 
     hoveredMarker = primitive;
     hoveredMarker.id.label.scaleByDistance = undefined;
+    setHoveredLabel(hoveredMarker.id.id);
+
+    // Shows a preview of the place without opening the sidebar
+    const hoveredPoi = markers.get(hoveredMarker.id.id)?.poi;
+    if (hoveredPoi) {
+      showMarkerPreview(hoveredMarker.id, hoveredPoi);
+    }
   } else {
     // Resets the pointer style to back to default when marker is no longer hovered
     document.querySelector("body").style.cursor = "default";
 
-    // Resets marker
-    if (hoveredMarker) {
-      hoveredMarker.id.label.scaleByDistance = defaultLabelVisibility;
-      hoveredMarker = null;
-    }
+    resetHoveredMarker();
   }
 }
 
@@ -358,12 +537,11 @@ function throttle(callback, wait) {
 /**
  * Changes the mouse pointer to a pointer icon when hovering over a marker on the map to indicate that it is clickable.
  * This is not applied to the center marker as the center marker is not clickable.
- * @param {Cesium.Viewer} viewer - The Cesium viewer object.
- * @param {number} centerLocationIndex - The index of the center location.
+ * The handler is only created once, as it handles all current markers.
  */
 function createMarkerHoverHandler() {
   if (markerHoverHandler) {
-    markerHoverHandler.destroy();
+    return;
   }
 
   markerHoverHandler = new Cesium.ScreenSpaceEventHandler(cesiumViewer.canvas);
@@ -378,88 +556,249 @@ function createMarkerHoverHandler() {
 }
 
 /**
- * Creates the place object for the center marker (this is basically a dummy google.maps.places.PlaceResult)
+ * Creates the POI object for the center marker
  *
  * @param {google.maps.LatLngLiteral} coords - coordinates of the center marker around which to auto-orbit
+ * @returns {Poi}
  */
 function createCenterMarkerData(coords) {
   return {
+    id: CENTER_MARKER_ID,
     name: "",
-    geometry: {
-      location: new google.maps.LatLng(coords),
-    },
-    place_id: null,
-    icon_background_color: "#ea4335",
-    icon_mask_base_uri: "assets/icons/poi/center",
-    isCenterLocation: true,
+    coordinates: coords,
+    types: [],
   };
 }
 
 /**
- * Creates markers for each POI and attaches them to the viewer.
- * @param {google.maps.places.PlaceResult[]} pois - Array of points of interest.
+ * Returns the style of a marker, the center marker always has the same style.
+ *
+ * @param {Poi} markerData - The POI or the center marker data.
+ * @returns {MarkerStyle} The icon and color of the marker.
+ */
+function getMarkerDataStyle(markerData) {
+  return markerData.id === CENTER_MARKER_ID
+    ? centerMarkerStyle
+    : getMarkerStyle(markerData, poiTypes, markersConfig);
+}
+
+/**
+ * Returns the key of the rendered data of a marker, which changes if the marker has to be rerendered.
+ *
+ * @param {Poi} markerData - The POI or the center marker data.
+ * @param {MarkerStyle} style - The icon and color of the marker.
+ * @returns {string} The key of the marker.
+ */
+function getMarkerKey({ name, coordinates }, style) {
+  // the types and color of the config are part of the style
+  const { types, color, ...entityConfig } = markersConfig;
+  return JSON.stringify([name, coordinates, style, entityConfig]);
+}
+
+/**
+ * Removes a marker from the map.
+ *
+ * @param {string} id - The ID of the marker.
+ */
+function removeMarker(id) {
+  const { entity } = markers.get(id);
+
+  if (hoveredMarker?.id === entity) {
+    hoveredMarker = null;
+    setHoveredLabel(null);
+    hideMarkerPreview();
+  }
+
+  cesiumViewer.entities.remove(entity);
+  markers.delete(id);
+}
+
+/**
+ * Adds a marker with its line to the ground to the map.
+ *
+ * @param {Poi} markerData - The POI or the center marker data.
+ * @param {MarkerStyle} style - The icon and color of the marker.
+ * @param {Cesium.Cartesian3} coord - The position of the marker, clamped to the ground.
+ * @param {string} markerImage - Data URI of the marker image.
+ */
+function addMarker(markerData, style, coord, markerImage) {
+  // add vertical offset between marker and terrain to allow for a line to be rendered in between
+  const coordWithHeightOffset = addHeightOffset(coord, 28);
+  const { id, name } = markerData;
+
+  // add the line and the marker
+  const markerEntity = cesiumViewer.entities.add({
+    ...getPolylineConfiguration({ start: coord, end: coordWithHeightOffset }),
+    ...getMarkerEntityConfiguration({
+      position: coordWithHeightOffset,
+      id,
+      name,
+      markerImage,
+    }),
+  });
+
+  markers.set(id, {
+    entity: markerEntity,
+    poi: markerData,
+    style,
+    key: getMarkerKey(markerData, style),
+  });
+
+  // Select the marker if it was rerendered and already selected before
+  if (selectedMarkerId === id) {
+    setSelectedMarker(markerEntity);
+  }
+}
+
+/**
+ * Passes the visible POI markers to the clustering, the label layout and the auto-orbit
+ * and hides the markers of hidden categories.
+ * The center marker is never clustered and has no label.
+ */
+function updateMarkerLayout() {
+  // in the order of the POIs, which are ordered by category (see `poi.types` in the config)
+  const poiMarkers = [];
+
+  for (const poi of markerPois.pois) {
+    const marker = markers.get(poi.id);
+
+    if (!marker) {
+      continue;
+    }
+
+    if (isPoiHidden(poi)) {
+      marker.entity.show = false;
+    } else {
+      poiMarkers.push(marker);
+    }
+  }
+
+  setClusterableMarkers(
+    poiMarkers.map(({ entity, poi, style }) => ({
+      entity,
+      poi,
+      color: style.color,
+    }))
+  );
+  setLabeledMarkers(poiMarkers.map(({ entity, poi }) => ({ entity, poi })));
+  // the "poi-hopping" auto-orbit drifts between the visible markers
+  autoOrbitController.setHopTargets(poiMarkers.map(({ poi }) => poi.coordinates));
+}
+
+/**
+ * Updates the markers on the map to show the given POIs.
+ * The markers are reconciled by POI ID: markers of new POIs are added, markers of POIs
+ * which are no longer in the list are removed and unchanged markers are kept as they are,
+ * so that they don't have to be clamped to the ground and rendered again.
+ *
+ * @param {Poi[]} pois - Array of points of interest.
  * @param {google.maps.LatLngLiteral} centerCoordinates - The center coordinates of the map.
+ * @param {MarkersConfig} newMarkersConfig - The `markers` config, which sets the icons, colors, sizes and labels.
+ * @param {string[]} newPoiTypes - The searched types, i.e. the `poi.types` config, which decide
+ * the marker style and category of POIs with several types.
  */
-async function createMarkers(pois, centerCoordinates) {
+async function createMarkers(
+  pois,
+  centerCoordinates,
+  newMarkersConfig,
+  newPoiTypes
+) {
   if (!cesiumViewer) {
     console.error("Error creating markers: `cesiumViewer` is undefined");
     return;
   }
 
+  const updateId = ++markersUpdateId;
+  markersConfig = newMarkersConfig;
+  poiTypes = newPoiTypes;
+
   // If a marker was selected before, but isn't in POIs list anymore,
   // reset the marker selection and close the sidebar.
   if (
     selectedMarkerId &&
-    !pois.some((poi) => poi.place_id === selectedMarkerId)
+    !pois.some((poi) => poi.id === selectedMarkerId)
   ) {
     selectedMarkerId = null;
+    pinMarker(null);
+    setSelectedLabel(null);
     toggleSidebar("close");
   }
 
-  const centerMarker = createCenterMarkerData(centerCoordinates);
+  markerPois = { pois, centerCoordinates };
 
-  const markerCoordinates = [...pois, centerMarker].map((poi) => {
-    const { lng, lat } = poi.geometry.location.toJSON();
-    return Cesium.Cartesian3.fromDegrees(lng, lat);
+  // the center or the `markers.distanceLine` config might have changed
+  updateDistanceLine();
+
+  const markerDataList = [
+    ...pois,
+    createCenterMarkerData(centerCoordinates),
+  ].map((markerData) => {
+    const style = getMarkerDataStyle(markerData);
+    return { markerData, style, key: getMarkerKey(markerData, style) };
   });
+  const markerKeys = new Map(
+    markerDataList.map(({ markerData, key }) => [markerData.id, key])
+  );
 
-  // Modify the position to be on top of terrain (e.g. Rooftops, trees, etc.)
-  // this has to be done with the whole coordinates array, because clamping single
-  // coords to the ground terrain like this will not work.
-  const coordsWithAdjustedHeight =
-    await cesiumViewer.scene.clampToHeightMostDetailed(markerCoordinates);
-
-  // iterate the coordinates and get according poi
-  coordsWithAdjustedHeight.forEach(async (coord, index) => {
-    const markerData = index < pois.length ? pois[index] : centerMarker;
-    // add vertical offset between marker and terrain to allow for a line to be rendered in between
-    const coordWithHeightOffset = addHeightOffset(coord, 28);
-    const id = index < pois.length ? pois[index].place_id : CENTER_MARKER_ID;
-    const { name } = markerData;
-    const markerSvg = await createMarkerSvg(markerData);
-
-    // add the line and the marker
-    const markerEntity = cesiumViewer.entities.add({
-      ...getPolylineConfiguration({ start: coord, end: coordWithHeightOffset }),
-      ...getMarkerEntityConfiguration({
-        position: coordWithHeightOffset,
-        id,
-        name,
-        markerSvg,
-      }),
-    });
-
-    // Select the marker if it was rerendered and already selected before
-    if (selectedMarkerId === id) {
-      setSelectedMarker(markerEntity);
+  // Remove the markers of POIs which are no longer in the list or whose data changed
+  for (const [id, { key }] of markers) {
+    if (markerKeys.get(id) !== key) {
+      removeMarker(id);
     }
-  });
+  }
+
+  updateMarkerLayout();
+
+  const newMarkerDataList = markerDataList.filter(
+    ({ markerData }) => !markers.has(markerData.id)
+  );
+
+  if (newMarkerDataList.length) {
+    const markerCoordinates = newMarkerDataList.map(
+      ({ markerData: { coordinates } }) =>
+        Cesium.Cartesian3.fromDegrees(coordinates.lng, coordinates.lat)
+    );
+
+    // Modify the position to be on top of terrain (e.g. Rooftops, trees, etc.)
+    // this has to be done with the whole coordinates array, because clamping single
+    // coords to the ground terrain like this will not work.
+    const [coordsWithAdjustedHeight, markerImages] = await Promise.all([
+      cesiumViewer.scene.clampToHeightMostDetailed(markerCoordinates),
+      Promise.all(
+        newMarkerDataList.map(({ markerData, style }) =>
+          getMarkerImage(
+            style,
+            markerData.id === CENTER_MARKER_ID ? "center" : "poi"
+          )
+        )
+      ),
+    ]);
+
+    // The markers were updated again while these were created,
+    // the newer call adds its own markers
+    if (updateId !== markersUpdateId) {
+      return;
+    }
+
+    newMarkerDataList.forEach(({ markerData, style }, index) =>
+      addMarker(
+        markerData,
+        style,
+        coordsWithAdjustedHeight[index],
+        markerImages[index]
+      )
+    );
+
+    updateMarkerLayout();
+  }
+
+  dispatchMarkersChange();
 
   // change mouse pointer to pointer icon when hovering over a marker
   createMarkerHoverHandler();
 
   // add a click handler to the viewer which handles the click only when clicking on a billboard (Marker) instance
-  createMarkerClickHandler(pois);
+  createMarkerClickHandler();
 }
 
 export default createMarkers;
@@ -0,0 +1,88 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { cesiumViewer, getCesiumColor } from "./cesium.js";
+import { formatDistance, formatWalkingTime, getDistance } from "./geo.js";
+
+// The IDs of the line and label entities, which can't collide with POI IDs
+const DISTANCE_LINE_ID = "distance-line:path";
+const DISTANCE_LABEL_ID = "distance-line:label";
+
+/**
+ * Removes the distance line and its label from the map.
+ */
+export function clearDistanceLine() {
+  cesiumViewer.entities.removeById(DISTANCE_LINE_ID);
+  cesiumViewer.entities.removeById(DISTANCE_LABEL_ID);
+}
+
+/**
+ * Draws a line on the ground from the center to a POI, labeled with the straight-line
+ * distance and the estimated walking time. A previous line is replaced.
+ *
+ * @param {google.maps.LatLngLiteral} centerCoordinates - The center of the map.
+ * @param {google.maps.LatLngLiteral} poiCoordinates - The coordinates of the POI.
+ * @param {MarkersConfig["distanceLine"]} distanceLineConfig - The units, walking speed and color of the line.
+ */
+export function showDistanceLine(
+  centerCoordinates,
+  poiCoordinates,
+  distanceLineConfig
+) {
+  clearDistanceLine();
+
+  const { units, walkingSpeed, color } = distanceLineConfig;
+  const distance = getDistance(centerCoordinates, poiCoordinates);
+  const lineColor = getCesiumColor(color);
+
+  cesiumViewer.entities.add({
+    id: DISTANCE_LINE_ID,
+    polyline: {
+      positions: Cesium.Cartesian3.fromDegreesArray([
+        centerCoordinates.lng,
+        centerCoordinates.lat,
+        poiCoordinates.lng,
+        poiCoordinates.lat,
+      ]),
+      clampToGround: true,
+      width: 4,
+      material: new Cesium.PolylineDashMaterialProperty({ color: lineColor }),
+    },
+  });
+
+  // the label is placed on the ground (e.g. a rooftop) halfway between the center and the POI
+  const labelPosition = Cesium.Cartesian3.fromDegrees(
+    (centerCoordinates.lng + poiCoordinates.lng) / 2,
+    (centerCoordinates.lat + poiCoordinates.lat) / 2
+  );
+
+  cesiumViewer.entities.add({
+    id: DISTANCE_LABEL_ID,
+    position:
+      cesiumViewer.scene.clampToHeight(labelPosition) ?? labelPosition,
+    label: {
+      text: `${formatDistance(distance, units)} · ${formatWalkingTime(
+        distance,
+        walkingSpeed
+      )} walk`,
+      font: "16px Google Sans, Roboto, sans-serif",
+      showBackground: true,
+      backgroundColor: lineColor.withAlpha(0.8),
+      fillColor: Cesium.Color.WHITE,
+      verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+      // the label is never hidden by buildings
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+  });
+}
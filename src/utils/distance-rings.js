@@ -0,0 +1,200 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Labeled rings on the ground around the center, which show the search radius of the POIs
+// and distance bands such as a 5 minute walk (see the `rings` config).
+
+import { activeConfig } from "./app.js";
+import {
+  cesiumViewer,
+  clampCoordinatesToGround,
+  getCesiumColor,
+} from "./cesium.js";
+import { formatDistance, getDestination } from "./geo.js";
+
+// The prefix of the ring entity IDs, which can't collide with POI IDs
+const RING_ID_PREFIX = "ring:";
+
+// The number of points of a ring
+const RING_SEGMENTS = 128;
+
+/**
+ * The IDs of the ring entities currently on the map
+ * @type {string[]}
+ */
+let ringEntityIds = [];
+
+/**
+ * The ID of the latest `updateDistanceRings` call, to discard the rings of outdated calls
+ * @type {number}
+ */
+let ringsUpdateId = 0;
+
+/**
+ * Returns the rings to draw with their radius in meters and label.
+ * Bands without a distance and walking time are ignored.
+ *
+ * @param {ResolvedConfig} config - The config of the selected location.
+ * @param {number} searchRadius - The search radius in meters.
+ * @returns {Array<{radius: number, label: string}>} The rings.
+ */
+function getRings(config, searchRadius) {
+  const { searchRadius: showSearchRadius, bands } = config.rings;
+  const { units, walkingSpeed } = config.markers.distanceLine;
+  const rings = [];
+
+  if (showSearchRadius) {
+    rings.push({
+      radius: searchRadius,
+      label: `Search radius · ${formatDistance(searchRadius, units)}`,
+    });
+  }
+
+  for (const { distance, minutes, label } of bands) {
+    const radius = distance ?? (minutes && minutes * 60 * walkingSpeed);
+
+    if (!radius) {
+      console.warn("Ignoring a distance ring without distance or minutes");
+      continue;
+    }
+
+    rings.push({
+      radius,
+      label:
+        label ??
+        (distance
+          ? formatDistance(distance, units)
+          : `${minutes} min walk · ${formatDistance(radius, units)}`),
+    });
+  }
+
+  return rings;
+}
+
+/**
+ * Returns the coordinates of a ring, starting and ending north of the center.
+ *
+ * @param {google.maps.LatLngLiteral} centerCoordinates - The center of the ring.
+ * @param {number} radius - The radius in meters.
+ * @returns {google.maps.LatLngLiteral[]} The coordinates of the ring.
+ */
+function getRingCoordinates(centerCoordinates, radius) {
+  return Array.from({ length: RING_SEGMENTS + 1 }, (_, index) =>
+    getDestination(centerCoordinates, radius, (index * 360) / RING_SEGMENTS)
+  );
+}
+
+/**
+ * Adds a ring with its label to the map.
+ *
+ * @param {google.maps.LatLngLiteral[]} ringCoordinates - The coordinates of the ring.
+ * @param {Cesium.Cartesian3} labelPosition - The position of the label on the ground.
+ * @param {string} label - The label of the ring.
+ * @param {Cesium.Color} color - The color of the ring.
+ */
+function addRing(ringCoordinates, labelPosition, label, color) {
+  const ringId = `${RING_ID_PREFIX}${ringEntityIds.length}`;
+
+  cesiumViewer.entities.add({
+    id: ringId,
+    polyline: {
+      positions: Cesium.Cartesian3.fromDegreesArray(
+        ringCoordinates.flatMap(({ lat, lng }) => [lng, lat])
+      ),
+      clampToGround: true,
+      width: 3,
+      material: color,
+    },
+  });
+
+  const labelId = `${ringId}:label`;
+
+  cesiumViewer.entities.add({
+    id: labelId,
+    position: labelPosition,
+    label: {
+      text: label,
+      font: "14px Google Sans, Roboto, sans-serif",
+      fillColor: color,
+      style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 2,
+      verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+      // the label is never hidden by buildings
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+  });
+
+  ringEntityIds.push(ringId, labelId);
+}
+
+/**
+ * Draws the rings of the `rings` config around the center of the selected location,
+ * replacing the previous rings. No rings are drawn if `rings.enabled` is false.
+ *
+ * @param {number} [searchRadius] - The search radius in meters, e.g. to preview a radius
+ * while it is changed. Defaults to `poi.searchRadius`.
+ */
+export async function updateDistanceRings(
+  searchRadius = activeConfig.poi.searchRadius
+) {
+  const updateId = ++ringsUpdateId;
+  const { coordinates } = activeConfig.location;
+  const rings = activeConfig.rings.enabled
+    ? getRings(activeConfig, searchRadius).map((ring) => ({
+        ...ring,
+        coordinates: getRingCoordinates(coordinates, ring.radius),
+      }))
+    : [];
+
+  // The labels are placed north of the center on top of the ground (e.g. a rooftop).
+  // This has to be done with the whole positions array, like for the markers.
+  const labelPositions = rings.length
+    ? await clampCoordinatesToGround(
+        rings.map(({ coordinates: [north] }) => north)
+      )
+    : [];
+
+  // The rings were updated again in the meantime
+  if (updateId !== ringsUpdateId) {
+    return;
+  }
+
+  ringEntityIds.forEach((id) => cesiumViewer.entities.removeById(id));
+  ringEntityIds = [];
+
+  const color = getCesiumColor(activeConfig.rings.color);
+
+  rings.forEach(({ coordinates: ringCoordinates, label }, index) =>
+    addRing(
+      ringCoordinates,
+      Cesium.Cartographic.toCartesian(labelPositions[index]),
+      label,
+      color
+    )
+  );
+}
+
+/**
+ * Draws the rings and keeps them up to date with the config and the selected location.
+ */
+export function createDistanceRings() {
+  const handleUpdate = () =>
+    updateDistanceRings().catch((error) => console.error(error));
+
+  handleUpdate();
+
+  window.addEventListener("configchange", handleUpdate);
+  window.addEventListener("locationchange", handleUpdate);
+}
@@ -0,0 +1,29 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Downloads text content as file, e.g. the exported POIs or a recorded tour.
+ *
+ * @param {string} content - The content of the file.
+ * @param {string} fileName - The name of the file.
+ * @param {string} mimeType - The MIME type of the content, e.g. "application/json".
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const downloadLink = document.createElement("a");
+  downloadLink.href = `data:${mimeType};charset=utf-8,${encodeURIComponent(
+    content
+  )}`;
+  downloadLink.download = fileName;
+  downloadLink.click();
+}
@@ -0,0 +1,58 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Shows an overlay on top of the map with an error title and a list of messages.
+ * An already visible error overlay is replaced.
+ *
+ * @param {string} title - The title of the error.
+ * @param {string[]} [messages] - The detailed error messages to list.
+ */
+export function showErrorOverlay(title, messages = []) {
+  hideErrorOverlay();
+
+  const overlay = document.createElement("div");
+  overlay.classList.add("error-overlay");
+  overlay.setAttribute("role", "alert");
+
+  const content = document.createElement("div");
+  content.classList.add("error-overlay-content");
+
+  const heading = document.createElement("h2");
+  heading.textContent = title;
+  content.appendChild(heading);
+
+  if (messages.length) {
+    const messageList = document.createElement("ul");
+
+    for (const message of messages) {
+      const messageItem = document.createElement("li");
+      // use textContent as the messages may contain values from the config file
+      messageItem.textContent = message;
+      messageList.appendChild(messageItem);
+    }
+
+    content.appendChild(messageList);
+  }
+
+  overlay.appendChild(content);
+  document.body.appendChild(overlay);
+}
+
+/**
+ * Removes the error overlay if it is visible.
+ */
+export function hideErrorOverlay() {
+  document.querySelector(".error-overlay")?.remove();
+}
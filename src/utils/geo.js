@@ -0,0 +1,155 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// The mean radius of the earth in meters
+const EARTH_RADIUS = 6371008.8;
+
+// The conversion factors from meters
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_FOOT = 0.3048;
+
+/**
+ * Converts degrees to radians.
+ *
+ * @param {number} degrees - The angle in degrees.
+ * @returns {number} The angle in radians.
+ */
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Calculates the straight-line (great-circle) distance between two coordinates using the haversine formula.
+ *
+ * @param {google.maps.LatLngLiteral} from - The start coordinates.
+ * @param {google.maps.LatLngLiteral} to - The end coordinates.
+ * @returns {number} The distance in meters.
+ */
+export function getDistance(from, to) {
+  const deltaLat = toRadians(to.lat - from.lat);
+  const deltaLng = toRadians(to.lng - from.lng);
+
+  const a =
+    Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(deltaLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Calculates the coordinates at a distance and bearing from a start point on a great circle.
+ *
+ * @param {google.maps.LatLngLiteral} from - The start coordinates.
+ * @param {number} distance - The distance in meters.
+ * @param {number} bearing - The bearing in degrees clockwise from north.
+ * @returns {google.maps.LatLngLiteral} The destination coordinates.
+ */
+export function getDestination(from, distance, bearing) {
+  const angularDistance = distance / EARTH_RADIUS;
+  const bearingRadians = toRadians(bearing);
+  const lat = toRadians(from.lat);
+  const lng = toRadians(from.lng);
+
+  const destinationLat = Math.asin(
+    Math.sin(lat) * Math.cos(angularDistance) +
+      Math.cos(lat) * Math.sin(angularDistance) * Math.cos(bearingRadians)
+  );
+  const destinationLng =
+    lng +
+    Math.atan2(
+      Math.sin(bearingRadians) * Math.sin(angularDistance) * Math.cos(lat),
+      Math.cos(angularDistance) - Math.sin(lat) * Math.sin(destinationLat)
+    );
+
+  return {
+    lat: (destinationLat * 180) / Math.PI,
+    lng: (destinationLng * 180) / Math.PI,
+  };
+}
+
+/**
+ * Formats a distance in the configured units, short distances are shown in meters or feet.
+ *
+ * @param {number} distance - The distance in meters.
+ * @param {"metric" | "imperial"} units - The units of the distance.
+ * @returns {string} The formatted distance, e.g. "1.2 km".
+ */
+export function formatDistance(distance, units) {
+  if (units === "imperial") {
+    const miles = distance / METERS_PER_MILE;
+
+    return miles < 0.1
+      ? `${Math.round(distance / METERS_PER_FOOT)} ft`
+      : `${miles.toFixed(1)} mi`;
+  }
+
+  return distance < 1000
+    ? `${Math.round(distance)} m`
+    : `${(distance / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Formats the estimated walking time of a distance.
+ *
+ * @param {number} distance - The distance in meters.
+ * @param {number} walkingSpeed - The walking speed in meters per second.
+ * @returns {string} The formatted walking time, e.g. "1 h 5 min".
+ */
+export function formatWalkingTime(distance, walkingSpeed) {
+  const minutes = Math.max(1, Math.round(distance / walkingSpeed / 60));
+
+  return minutes < 60
+    ? `${minutes} min`
+    : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * Checks whether a point is inside a ring with the even-odd rule.
+ *
+ * @param {google.maps.LatLngLiteral} point - The point.
+ * @param {number[][]} ring - The `[lng, lat]` positions of the ring.
+ * @returns {boolean} Whether the point is inside.
+ */
+function isInsideRing({ lat, lng }, ring) {
+  let isInside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngA, latA] = ring[i];
+    const [lngB, latB] = ring[j];
+
+    if (
+      latA > lat !== latB > lat &&
+      lng < ((lngB - lngA) * (lat - latA)) / (latB - latA) + lngA
+    ) {
+      isInside = !isInside;
+    }
+  }
+
+  return isInside;
+}
+
+/**
+ * Checks whether a point is inside the boundary: inside the outline of a polygon and not in one of its holes.
+ *
+ * @param {google.maps.LatLngLiteral} point - The point.
+ * @param {number[][][][]} polygons - The polygons of the boundary, see `loadBoundary`.
+ * @returns {boolean} Whether the point is inside the boundary.
+ */
+export function isInsideBoundary(point, polygons) {
+  return polygons.some(
+    ([outline, ...holes]) =>
+      isInsideRing(point, outline) &&
+      !holes.some((hole) => isInsideRing(point, hole))
+  );
+}
@@ -0,0 +1,183 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// The kiosk mode keeps unattended screens, e.g. in a lobby, presentable (see the `kiosk` config).
+// After the idle timeout without any interaction, the map is reset to the location and the auto-orbit
+// starts again. The optional attract loop then cycles through the highlighted POIs until someone
+// interacts with the map.
+
+import { toggleSidebar } from "../sidebar/sidebar.js";
+import { activeConfig } from "./app.js";
+import { getTourState, stopTour } from "./camera-tour.js";
+import {
+  autoOrbitController,
+  cesiumViewer,
+  performFlyTo,
+  zoomResetCallback,
+} from "./cesium.js";
+import { getDisplayedPois, setSelectedMarker } from "./create-markers.js";
+import { getStoryState, stopStory } from "./story.js";
+
+// The events which count as an interaction with the map
+const ACTIVITY_EVENT_TYPES = ["pointerdown", "wheel", "keydown"];
+
+/**
+ * The timeout which resets the map after the idle timeout
+ * @type {number}
+ */
+let idleTimeoutId = 0;
+
+/**
+ * The timeout which moves the attract loop on to the next POI
+ * @type {number}
+ */
+let attractTimeoutId = 0;
+
+/**
+ * Returns the highlighted POIs of the attract loop which are shown on the map.
+ *
+ * @returns {Poi[]} The POIs, all POIs shown on the map if `kiosk.attractLoop.pois` is empty.
+ */
+function getAttractPois() {
+  const { pois: highlightedIds } = activeConfig.kiosk.attractLoop;
+  const { pois } = getDisplayedPois();
+
+  if (!highlightedIds.length) {
+    return pois;
+  }
+
+  return highlightedIds
+    .map((id) => pois.find((poi) => poi.id === id))
+    .filter(Boolean);
+}
+
+/**
+ * Moves the attract loop on to a POI after the interval.
+ *
+ * @param {number} index - The index of the POI, see `showAttractStep`.
+ */
+function scheduleAttractStep(index) {
+  clearTimeout(attractTimeoutId);
+  attractTimeoutId = setTimeout(
+    () => showAttractStep(index),
+    activeConfig.kiosk.attractLoop.interval * 1000
+  );
+}
+
+/**
+ * Shows a POI of the attract loop: its marker is selected and the camera orbits around it.
+ * After the last POI, the camera returns to the location before the loop starts again.
+ *
+ * @param {number} index - The index of the POI.
+ */
+function showAttractStep(index) {
+  const attractLoopConfig = activeConfig.kiosk.attractLoop;
+  const pois = getAttractPois();
+
+  if (!attractLoopConfig.enabled || !pois.length) {
+    return;
+  }
+
+  if (index >= pois.length) {
+    setSelectedMarker(null);
+    performFlyTo(activeConfig.location.coordinates, { startAutoOrbit: true });
+    scheduleAttractStep(0);
+    return;
+  }
+
+  const poi = pois[index];
+
+  setSelectedMarker(cesiumViewer.entities.getById(poi.id) ?? null);
+  performFlyTo(poi.coordinates, {
+    range: attractLoopConfig.range,
+    startAutoOrbit: true,
+  });
+  scheduleAttractStep(index + 1);
+}
+
+/**
+ * Resets the map like after the idle timeout: a story or tour is stopped, the sidebar is closed,
+ * the selected marker is deselected and the camera flies back to the location to start the auto-orbit.
+ * The attract loop starts when the camera arrives, if it is enabled.
+ *
+ * @returns {Promise<void>} Resolves when the flight to the location started.
+ */
+export async function resetKiosk() {
+  clearTimeout(attractTimeoutId);
+  stopStory({ returnToLocation: false });
+  stopTour();
+  toggleSidebar("close");
+  setSelectedMarker(null);
+
+  // hold a running auto-orbit during the flight
+  autoOrbitController.pause();
+
+  await zoomResetCallback(activeConfig.location.coordinates, () => {
+    autoOrbitController.start();
+
+    if (activeConfig.kiosk.attractLoop.enabled) {
+      scheduleAttractStep(0);
+    }
+  });
+}
+
+/**
+ * Resets the map after the idle timeout, unless the kiosk mode is disabled.
+ */
+function restartIdleTimer() {
+  clearTimeout(idleTimeoutId);
+
+  if (!activeConfig.kiosk.enabled) {
+    return;
+  }
+
+  idleTimeoutId = setTimeout(() => {
+    const tourState = getTourState();
+
+    // a story or tour which is watched isn't interrupted
+    if (getStoryState() || (tourState && !tourState.isPaused)) {
+      restartIdleTimer();
+      return;
+    }
+
+    resetKiosk().catch((error) => console.error(error));
+  }, activeConfig.kiosk.idleTimeout * 1000);
+}
+
+/**
+ * Starts the kiosk mode if it is enabled in the `kiosk` config. Every interaction stops the attract loop
+ * and restarts the idle timeout, a changed `kiosk` config is used right away.
+ */
+export function createKiosk() {
+  const handleActivity = () => {
+    clearTimeout(attractTimeoutId);
+    restartIdleTimer();
+  };
+
+  restartIdleTimer();
+
+  // listen before other handlers, e.g. the markers, which might stop the event
+  ACTIVITY_EVENT_TYPES.forEach((eventType) =>
+    window.addEventListener(eventType, handleActivity, {
+      capture: true,
+      passive: true,
+    })
+  );
+
+  window.addEventListener("configchange", (event) => {
+    if (event.detail.changedPaths.some((path) => path.startsWith("kiosk."))) {
+      handleActivity();
+    }
+  });
+}
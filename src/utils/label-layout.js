@@ -0,0 +1,300 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Screen-space layout of the marker labels.
+// Whenever the camera moves, the labels are placed by priority (selected, hovered, rating, category)
+// and labels which would overlap an already placed label are hidden. Labels are faded
+// in and out instead of popping up.
+
+import { cesiumViewer } from "./cesium.js";
+
+// The minimum time in milliseconds between two layout passes while the camera moves
+const LAYOUT_INTERVAL = 100;
+
+// The duration of the fade in / out of a label in milliseconds
+const FADE_DURATION = 250;
+
+// The space in pixels kept between two labels
+const LABEL_PADDING = 4;
+
+// The approximate width of a character relative to the font size
+const CHARACTER_WIDTH = 0.55;
+
+/**
+ * The POI markers with labels, ordered by the priority of their category
+ * @type {Array<{entity: Cesium.Entity, poi: Poi}>}
+ */
+let labeledMarkers = [];
+
+/**
+ * The IDs of the selected and the hovered marker, whose labels are always shown
+ * @type {{selected: string | null, hovered: string | null}}
+ */
+const forcedLabelIds = { selected: null, hovered: null };
+
+/**
+ * The current and target opacity of the labels by marker entity
+ * @type {Map<Cesium.Entity, {alpha: number, targetAlpha: number}>}
+ */
+const labelFades = new Map();
+
+/**
+ * The view matrix of the camera at the last layout pass, to detect camera changes
+ * @type {Cesium.Matrix4}
+ */
+const lastViewMatrix = new Cesium.Matrix4();
+
+let lastLayoutTime = 0;
+let lastFrameTime = 0;
+let isLayoutRequested = false;
+let isListeningToRender = false;
+
+/**
+ * Returns the scale of a label at its current distance to the camera.
+ *
+ * @param {Cesium.Entity} entity - The marker entity.
+ * @param {Cesium.Cartesian3} position - The position of the marker.
+ * @returns {number} The scale of the label, 0 if it is not visible at this distance.
+ */
+function getLabelScale(entity, position) {
+  const scaleByDistance = entity.label.scaleByDistance?.getValue(
+    cesiumViewer.clock.currentTime
+  );
+
+  if (!scaleByDistance) {
+    return 1;
+  }
+
+  const distance = Cesium.Cartesian3.distance(
+    cesiumViewer.camera.positionWC,
+    position
+  );
+  const { near, nearValue, far, farValue } = scaleByDistance;
+  const ratio = Cesium.Math.clamp((distance - near) / (far - near), 0, 1);
+
+  return Cesium.Math.lerp(nearValue, farValue, ratio);
+}
+
+/**
+ * Returns the approximate rectangle of a label on the screen.
+ * Labels are horizontally centered above their marker.
+ *
+ * @param {Cesium.Entity} entity - The marker entity.
+ * @returns {{left: number, top: number, right: number, bottom: number} | null}
+ * The rectangle in pixels, or `null` if the label is not visible.
+ */
+function getLabelRectangle(entity) {
+  const time = cesiumViewer.clock.currentTime;
+  const position = entity.position?.getValue(time);
+  const windowPosition =
+    position &&
+    Cesium.SceneTransforms.wgs84ToWindowCoordinates(
+      cesiumViewer.scene,
+      position
+    );
+
+  if (!windowPosition) {
+    return null;
+  }
+
+  const scale = getLabelScale(entity, position);
+
+  if (scale <= 0.01) {
+    return null;
+  }
+
+  const fontSize = parseFloat(entity.label.font.getValue(time)) || 20;
+  const text = entity.label.text.getValue(time);
+  const width = text.length * fontSize * CHARACTER_WIDTH * scale;
+  const height = fontSize * scale;
+  const top = windowPosition.y + entity.label.pixelOffset.getValue(time).y;
+
+  return {
+    left: windowPosition.x - width / 2 - LABEL_PADDING,
+    right: windowPosition.x + width / 2 + LABEL_PADDING,
+    top: top - LABEL_PADDING,
+    bottom: top + height + LABEL_PADDING,
+  };
+}
+
+/**
+ * Checks whether two rectangles overlap.
+ */
+function intersects(a, b) {
+  return (
+    a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom
+  );
+}
+
+/**
+ * Returns the markers sorted by the priority of their labels:
+ * the selected and the hovered marker, then by rating and at last by category (their order).
+ *
+ * @returns {Array<{entity: Cesium.Entity, poi: Poi}>} The sorted markers.
+ */
+function getMarkersByPriority() {
+  const getForcedRank = ({ poi }) =>
+    poi.id === forcedLabelIds.selected
+      ? 2
+      : poi.id === forcedLabelIds.hovered
+      ? 1
+      : 0;
+
+  // Array.sort is stable, so markers with equal ratings keep the order of their categories
+  return [...labeledMarkers].sort(
+    (a, b) =>
+      getForcedRank(b) - getForcedRank(a) ||
+      (b.poi.rating ?? 0) - (a.poi.rating ?? 0)
+  );
+}
+
+/**
+ * Places the labels by priority and hides the labels which overlap already placed labels.
+ */
+function layoutLabels() {
+  const placedRectangles = [];
+
+  for (const { entity, poi } of getMarkersByPriority()) {
+    const isForced =
+      poi.id === forcedLabelIds.selected || poi.id === forcedLabelIds.hovered;
+    // labels of hidden (e.g. clustered) markers are not placed
+    const rectangle = entity.show ? getLabelRectangle(entity) : null;
+    const isVisible =
+      isForced ||
+      (rectangle &&
+        !placedRectangles.some((placed) => intersects(placed, rectangle)));
+
+    if (isVisible && rectangle) {
+      placedRectangles.push(rectangle);
+    }
+
+    const fade = labelFades.get(entity);
+    fade.targetAlpha = isVisible ? 1 : 0;
+  }
+}
+
+/**
+ * Sets the opacity of a label.
+ *
+ * @param {Cesium.Entity} entity - The marker entity.
+ * @param {number} alpha - The opacity from 0 to 1.
+ */
+function setLabelAlpha(entity, alpha) {
+  entity.label.fillColor = Cesium.Color.WHITE.withAlpha(alpha);
+  entity.label.outlineColor = Cesium.Color.GREY.withAlpha(alpha);
+}
+
+/**
+ * Runs before each frame is rendered: lays out the labels if the camera moved
+ * and moves the opacity of the labels towards their target.
+ */
+function handlePreRender() {
+  const now = performance.now();
+  const elapsedTime = now - (lastFrameTime || now);
+  lastFrameTime = now;
+
+  const { viewMatrix } = cesiumViewer.camera;
+  const hasCameraChanged = !Cesium.Matrix4.equalsEpsilon(
+    viewMatrix,
+    lastViewMatrix,
+    Cesium.Math.EPSILON6
+  );
+
+  if (
+    (hasCameraChanged || isLayoutRequested) &&
+    now - lastLayoutTime >= LAYOUT_INTERVAL
+  ) {
+    Cesium.Matrix4.clone(viewMatrix, lastViewMatrix);
+    lastLayoutTime = now;
+    isLayoutRequested = false;
+    layoutLabels();
+  }
+
+  const alphaStep = elapsedTime / FADE_DURATION;
+
+  for (const [entity, fade] of labelFades) {
+    if (fade.alpha === fade.targetAlpha) {
+      continue;
+    }
+
+    fade.alpha =
+      fade.targetAlpha > fade.alpha
+        ? Math.min(fade.targetAlpha, fade.alpha + alphaStep)
+        : Math.max(fade.targetAlpha, fade.alpha - alphaStep);
+    setLabelAlpha(entity, fade.alpha);
+  }
+}
+
+/**
+ * Requests a layout pass with the next frame.
+ */
+function requestLayout() {
+  isLayoutRequested = true;
+  cesiumViewer.scene.requestRender();
+}
+
+/**
+ * Sets the markers whose labels are laid out.
+ * The order of the markers is used as category priority, after the selected and hovered marker and the rating.
+ *
+ * @param {Array<{entity: Cesium.Entity, poi: Poi}>} markers - The markers with labels.
+ */
+export function setLabeledMarkers(markers) {
+  labeledMarkers = markers;
+
+  const entities = new Set(markers.map(({ entity }) => entity));
+
+  for (const entity of labelFades.keys()) {
+    if (!entities.has(entity)) {
+      labelFades.delete(entity);
+    }
+  }
+
+  // new labels start hidden and are faded in by the next layout pass
+  for (const entity of entities) {
+    if (!labelFades.has(entity)) {
+      labelFades.set(entity, { alpha: 0, targetAlpha: 0 });
+      setLabelAlpha(entity, 0);
+    }
+  }
+
+  if (!isListeningToRender) {
+    cesiumViewer.scene.preRender.addEventListener(handlePreRender);
+    isListeningToRender = true;
+  }
+
+  requestLayout();
+}
+
+/**
+ * Always shows the label of the selected marker.
+ *
+ * @param {string | null} markerId - The ID of the selected marker.
+ */
+export function setSelectedLabel(markerId) {
+  forcedLabelIds.selected = markerId;
+  requestLayout();
+}
+
+/**
+ * Always shows the label of the hovered marker.
+ *
+ * @param {string | null} markerId - The ID of the hovered marker.
+ */
+export function setHoveredLabel(markerId) {
+  if (forcedLabelIds.hovered !== markerId) {
+    forcedLabelIds.hovered = markerId;
+    requestLayout();
+  }
+}
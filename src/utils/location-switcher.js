@@ -0,0 +1,94 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import {
+  activeConfig,
+  config,
+  getUrlLocationName,
+  selectLocation,
+} from "./app.js";
+import { getLocationEntries } from "./config.js";
+
+/**
+ * Selects a location and logs errors, as the switcher is driven by DOM events.
+ *
+ * @param {string} locationName - The name of the location to select.
+ */
+async function handleLocationSelection(locationName) {
+  try {
+    await selectLocation(locationName);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+/**
+ * Fills the location switcher with the locations of the current config.
+ * The switcher is hidden if there is only a single location.
+ *
+ * @param {HTMLElement} switcherElement - The location switcher container.
+ * @param {HTMLSelectElement} selectElement - The select element of the switcher.
+ */
+function updateLocationOptions(switcherElement, selectElement) {
+  const locationEntries = getLocationEntries(config);
+
+  switcherElement.hidden = locationEntries.length < 2;
+
+  selectElement.replaceChildren(
+    ...locationEntries.map(({ name, label }) => new Option(label ?? name, name))
+  );
+  selectElement.value = activeConfig.location.name;
+}
+
+/**
+ * Creates the location switcher on the map to switch between the locations of the config.
+ * It is kept in sync with the config and the location selected in the URL hash.
+ */
+export function createLocationSwitcher() {
+  const overlay = document.querySelector(".custom-overlay");
+
+  const switcherElement = document.createElement("div");
+  switcherElement.classList.add("location-switcher");
+
+  const selectElement = document.createElement("select");
+  selectElement.setAttribute("aria-label", "Location");
+
+  // Fly to the selected location and fetch its POIs
+  selectElement.addEventListener("change", () =>
+    handleLocationSelection(selectElement.value)
+  );
+
+  switcherElement.appendChild(selectElement);
+  overlay.appendChild(switcherElement);
+
+  updateLocationOptions(switcherElement, selectElement);
+
+  // The locations may change when a new config is applied
+  window.addEventListener("configchange", () =>
+    updateLocationOptions(switcherElement, selectElement)
+  );
+
+  window.addEventListener("locationchange", () => {
+    selectElement.value = activeConfig.location.name;
+  });
+
+  // Select the location of a changed URL, e.g. when navigating back
+  window.addEventListener("hashchange", () => {
+    const locationName = getUrlLocationName();
+
+    if (locationName && locationName !== activeConfig.location.name) {
+      handleLocationSelection(locationName);
+    }
+  });
+}
@@ -0,0 +1,47 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Returns the column on the right side of the map, which stacks the info panels
+ * (e.g. the nearest places and the neighbourhood score). It is created with the first panel.
+ *
+ * @returns {HTMLElement} The panel column.
+ */
+export function getMapPanelColumn() {
+  const overlay = document.querySelector(".custom-overlay");
+  let column = overlay.querySelector(".map-panels");
+
+  if (!column) {
+    column = document.createElement("div");
+    column.classList.add("map-panels");
+    overlay.appendChild(column);
+  }
+
+  return column;
+}
+
+/**
+ * Creates a text button of a panel or control on the map, e.g. of the tour panel or the story card.
+ *
+ * @param {string} text - The text of the button.
+ * @param {() => void} onClick - The click handler.
+ * @returns {HTMLButtonElement} The button.
+ */
+export function createTextButton(text, onClick) {
+  const button = document.createElement("button");
+  button.classList.add("text-button");
+  button.textContent = text;
+  button.addEventListener("click", onClick);
+  return button;
+}
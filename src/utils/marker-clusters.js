@@ -0,0 +1,388 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Screen-space clustering of the POI markers.
+// Markers whose positions on the screen are closer than `CLUSTER_PIXEL_RANGE` are hidden
+// and replaced by a cluster badge showing their number. The clusters are recalculated
+// whenever the camera moves. The center marker is never passed to this module
+// and the selected (pinned) marker is never absorbed into a cluster.
+// Markers at (almost) the same position, which can't be separated by zooming in,
+// are fanned out around their position on the screen instead.
+
+import { cesiumViewer, performFlyTo } from "./cesium.js";
+
+// The distance in pixels on the screen within which markers are clustered
+const CLUSTER_PIXEL_RANGE = 48;
+
+// The minimum number of markers to form a cluster
+const CLUSTER_MINIMUM_SIZE = 2;
+
+// The closest camera distance in meters when zooming into a cluster
+const CLUSTER_MINIMUM_RANGE = 150;
+
+// The prefix of the cluster entity IDs, which can't collide with POI IDs
+const CLUSTER_ID_PREFIX = "cluster:";
+
+// The space in pixels on the screen for each fanned out marker
+const FAN_PIXEL_SPACING = 40;
+
+/**
+ * The POI markers which can be clustered
+ * @type {Array<{entity: Cesium.Entity, poi: Poi, color: string}>}
+ */
+let clusterableMarkers = [];
+
+/**
+ * The ID of the marker which is never clustered (the selected marker)
+ * @type {string | null}
+ */
+let pinnedMarkerId = null;
+
+/**
+ * The members of the cluster entities currently on the map by cluster entity ID
+ * @type {Map<string, Array<{entity: Cesium.Entity, poi: Poi, color: string}>>}
+ */
+const clusters = new Map();
+
+/**
+ * The fanned out markers, which are never clustered, and the camera distance beyond which they are
+ * collapsed again, i.e. the distance of the camera when the cluster was clicked
+ * @type {{members: Array<{entity: Cesium.Entity, poi: Poi, color: string}>, center: Cesium.Cartesian3, collapseDistance: number} | null}
+ */
+let fan = null;
+
+/**
+ * Whether the clusters are recalculated on camera changes, set when the first markers are clustered
+ * @type {boolean}
+ */
+let isListeningToCamera = false;
+
+/**
+ * The cluster badge images by color and count, to not encode the same SVG multiple times
+ * @type {Map<string, string>}
+ */
+const clusterBadgeCache = new Map();
+
+/**
+ * Creates the data URI of a round cluster badge showing the number of markers.
+ *
+ * @param {string} color - The CSS color of the badge.
+ * @param {number} count - The number of markers in the cluster.
+ * @returns {string} The data URI of the badge SVG.
+ */
+function getClusterBadge(color, count) {
+  const key = `${color}-${count}`;
+
+  if (!clusterBadgeCache.has(key)) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 48 48">
+      <circle cx="24" cy="24" r="21" fill="${color}" stroke="white" stroke-width="3" />
+      <text x="24" y="24" dy="0.35em" text-anchor="middle" fill="white"
+        font-family="Roboto, sans-serif" font-size="16" font-weight="500">${count}</text>
+    </svg>`;
+
+    clusterBadgeCache.set(
+      key,
+      `data:image/svg+xml,${encodeURIComponent(svg)}`
+    );
+  }
+
+  return clusterBadgeCache.get(key);
+}
+
+/**
+ * Returns the most common marker color of the members of a cluster,
+ * which is the color of their dominant category.
+ *
+ * @param {Array<{color: string}>} members - The members of the cluster.
+ * @returns {string} The dominant color.
+ */
+function getDominantColor(members) {
+  const counts = new Map();
+
+  for (const { color } of members) {
+    counts.set(color, (counts.get(color) ?? 0) + 1);
+  }
+
+  // The first color wins on a tie, as Map keeps the insertion order
+  return [...counts.entries()].reduce((dominant, entry) =>
+    entry[1] > dominant[1] ? entry : dominant
+  )[0];
+}
+
+/**
+ * Returns the current position of a marker entity.
+ *
+ * @param {Cesium.Entity} entity - The marker entity.
+ * @returns {Cesium.Cartesian3 | undefined} The position.
+ */
+function getEntityPosition(entity) {
+  return entity.position?.getValue(cesiumViewer.clock.currentTime);
+}
+
+/**
+ * Groups the markers greedily by their distance on the screen.
+ * Markers which are not visible on the screen are not clustered.
+ *
+ * @returns {Array<Array<{entity: Cesium.Entity, poi: Poi, color: string}>>} The groups of markers.
+ */
+function groupMarkersOnScreen() {
+  const markersOnScreen = clusterableMarkers.flatMap((marker) => {
+    const position = getEntityPosition(marker.entity);
+    const windowPosition =
+      position &&
+      Cesium.SceneTransforms.wgs84ToWindowCoordinates(
+        cesiumViewer.scene,
+        position
+      );
+
+    const isFanned = fan?.members.some(({ poi }) => poi.id === marker.poi.id);
+
+    return marker.poi.id !== pinnedMarkerId && !isFanned && windowPosition
+      ? [{ ...marker, windowPosition }]
+      : [];
+  });
+
+  const groups = [];
+  const groupedMarkers = new Set();
+
+  for (const marker of markersOnScreen) {
+    if (groupedMarkers.has(marker)) {
+      continue;
+    }
+
+    const group = markersOnScreen.filter(
+      (otherMarker) =>
+        !groupedMarkers.has(otherMarker) &&
+        Cesium.Cartesian2.distance(
+          marker.windowPosition,
+          otherMarker.windowPosition
+        ) <= CLUSTER_PIXEL_RANGE
+    );
+
+    group.forEach((groupMarker) => groupedMarkers.add(groupMarker));
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+/**
+ * Returns the ID of the cluster entity of a group of markers, which is the same
+ * for the same members, so that a cluster which didn't change keeps its entity.
+ *
+ * @param {Array<{poi: Poi}>} members - The members of the cluster.
+ * @returns {string} The cluster entity ID.
+ */
+function getClusterId(members) {
+  return `${CLUSTER_ID_PREFIX}${members
+    .map(({ poi }) => poi.id)
+    .sort()
+    .join(",")}`;
+}
+
+/**
+ * Moves the fanned out markers back to their positions.
+ */
+function collapseFan() {
+  fan?.members.forEach(
+    ({ entity }) => (entity.billboard.pixelOffset = Cesium.Cartesian2.ZERO)
+  );
+  fan = null;
+}
+
+/**
+ * Fans the markers of a cluster out on a circle around their position on the screen,
+ * so that each of them can be hovered and clicked.
+ *
+ * @param {Array<{entity: Cesium.Entity, poi: Poi, color: string}>} members - The members of the cluster.
+ * @param {Cesium.Cartesian3} center - The center of the members.
+ */
+function fanOutMarkers(members, center) {
+  collapseFan();
+
+  const radius = Math.max(
+    CLUSTER_PIXEL_RANGE,
+    (members.length * FAN_PIXEL_SPACING) / (2 * Math.PI)
+  );
+
+  members.forEach(({ entity }, index) => {
+    // start at the top and go around clockwise
+    const angle = (2 * Math.PI * index) / members.length - Math.PI / 2;
+    entity.billboard.pixelOffset = new Cesium.Cartesian2(
+      radius * Math.cos(angle),
+      radius * Math.sin(angle)
+    );
+  });
+
+  fan = {
+    members,
+    center,
+    // the flight to the cluster and the auto-orbit around it don't collapse the markers
+    collapseDistance: Math.max(
+      Cesium.Cartesian3.distance(cesiumViewer.camera.positionWC, center),
+      2 * CLUSTER_MINIMUM_RANGE
+    ),
+  };
+}
+
+/**
+ * Recalculates the clusters for the current camera position.
+ * Clustered markers are hidden and a cluster entity is added for each new cluster,
+ * the entities of the clusters which still have the same members are kept.
+ */
+function updateMarkerClusters() {
+  if (
+    fan &&
+    Cesium.Cartesian3.distance(cesiumViewer.camera.positionWC, fan.center) >
+      fan.collapseDistance
+  ) {
+    collapseFan();
+  }
+
+  const nextClusters = new Map(
+    groupMarkersOnScreen()
+      .filter((group) => group.length >= CLUSTER_MINIMUM_SIZE)
+      .map((members) => [getClusterId(members), members])
+  );
+
+  for (const clusterId of clusters.keys()) {
+    if (!nextClusters.has(clusterId)) {
+      cesiumViewer.entities.removeById(clusterId);
+      clusters.delete(clusterId);
+    }
+  }
+
+  // show all markers, the clustered ones are hidden again below
+  clusterableMarkers.forEach(({ entity }) => (entity.show = true));
+
+  nextClusters.forEach((members, clusterId) => {
+    members.forEach(({ entity }) => (entity.show = false));
+
+    if (clusters.has(clusterId)) {
+      return;
+    }
+
+    const positions = members.map(({ entity }) => getEntityPosition(entity));
+    clusters.set(clusterId, members);
+
+    cesiumViewer.entities.add({
+      id: clusterId,
+      // the center of the clustered markers
+      position: Cesium.BoundingSphere.fromPoints(positions).center,
+      billboard: {
+        image: getClusterBadge(getDominantColor(members), members.length),
+        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+      },
+    });
+  });
+}
+
+/**
+ * Sets the POI markers which are clustered and recalculates the clusters.
+ * Passing an empty list removes all clusters.
+ *
+ * @param {Array<{entity: Cesium.Entity, poi: Poi, color: string}>} markers - The POI markers and their colors.
+ */
+export function setClusterableMarkers(markers) {
+  clusterableMarkers = markers;
+
+  // the new markers might have other colors, so their clusters are created again
+  collapseFan();
+  for (const clusterId of clusters.keys()) {
+    cesiumViewer.entities.removeById(clusterId);
+  }
+  clusters.clear();
+
+  if (!isListeningToCamera) {
+    // `changed` updates the clusters while moving, `moveEnd` at the final position
+    cesiumViewer.camera.changed.addEventListener(updateMarkerClusters);
+    cesiumViewer.camera.moveEnd.addEventListener(updateMarkerClusters);
+    isListeningToCamera = true;
+  }
+
+  updateMarkerClusters();
+}
+
+/**
+ * Keeps a marker out of the clusters, e.g. the selected marker.
+ *
+ * @param {string | null} markerId - The ID of the marker, or `null` to cluster all markers.
+ */
+export function pinMarker(markerId) {
+  pinnedMarkerId = markerId;
+  updateMarkerClusters();
+}
+
+/**
+ * Returns the POIs of a cluster entity.
+ *
+ * @param {Cesium.Entity} entity - An entity on the map.
+ * @returns {Poi[] | undefined} The POIs of the cluster, or `undefined` if the entity is not a cluster.
+ */
+export function getClusterPois(entity) {
+  return clusters.get(entity?.id)?.map(({ poi }) => poi);
+}
+
+/**
+ * Flies the camera close enough to a cluster for its markers to be shown separately.
+ * The range is derived from the smallest distance between two markers of the cluster,
+ * which has to cover more than `CLUSTER_PIXEL_RANGE` pixels on the screen.
+ * If the markers are too close to be separated even at `CLUSTER_MINIMUM_RANGE`,
+ * e.g. the shops of a mall, they are fanned out around their position instead.
+ *
+ * @param {Cesium.Entity} clusterEntity - The cluster entity.
+ */
+export async function zoomToCluster(clusterEntity) {
+  const members = clusters.get(clusterEntity.id);
+
+  if (!members) {
+    return;
+  }
+
+  const positions = members.map(({ entity }) => getEntityPosition(entity));
+  let minimumDistance = Infinity;
+
+  positions.forEach((position, index) => {
+    for (const otherPosition of positions.slice(index + 1)) {
+      minimumDistance = Math.min(
+        minimumDistance,
+        Cesium.Cartesian3.distance(position, otherPosition)
+      );
+    }
+  });
+
+  // The number of pixels per meter at a distance `range` is `height / (2 * range * tan(fov / 2))`.
+  // Half of the resulting range leaves room for the camera pitch and the heading.
+  const { canvas, camera } = cesiumViewer;
+  const splitRange =
+    (minimumDistance * canvas.clientHeight) /
+    (2 * Math.tan(camera.frustum.fovy / 2) * CLUSTER_PIXEL_RANGE) /
+    2;
+
+  const centerPosition = Cesium.BoundingSphere.fromPoints(positions).center;
+  const center = Cesium.Cartographic.fromCartesian(centerPosition);
+
+  if (splitRange < CLUSTER_MINIMUM_RANGE) {
+    fanOutMarkers(members, centerPosition);
+    updateMarkerClusters();
+  }
+
+  await performFlyTo(
+    {
+      lat: Cesium.Math.toDegrees(center.latitude),
+      lng: Cesium.Math.toDegrees(center.longitude),
+    },
+    { range: Math.max(CLUSTER_MINIMUM_RANGE, splitRange), duration: 1 }
+  );
+}
@@ -0,0 +1,215 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// The marker images are composed of the marker template SVG and the icon SVG of the POI.
+// Both SVGs are only fetched once, and each combination of icon, color and variant
+// is only rendered once. The images are rasterized to PNG data URIs, so that
+// equal markers share one image in the texture atlas of Cesium's billboards,
+// which identifies images by their URI.
+
+// The template of all markers
+const MARKER_TEMPLATE_URL = "assets/icons/empty-marker.svg";
+
+/**
+ * The size and style of the marker variants.
+ * The images have the size of the selected marker, the other markers are scaled down.
+ */
+const MARKER_VARIANTS = {
+  poi: {
+    base: { width: 80, height: 60, stroke: "white" },
+    icon: { width: 15, height: 15, x: 16.5, y: 16.5 },
+  },
+  center: {
+    base: { width: 96, height: 70, stroke: "#8C2820" },
+    icon: { width: 18, height: 18, x: 14.5, y: 14.5 },
+  },
+};
+
+/**
+ * The fetched SVG documents by URL
+ * @type {Map<string, Promise<Element>>}
+ */
+const svgTemplateCache = new Map();
+
+/**
+ * The rendered marker images by icon URL, color and variant
+ * @type {Map<string, Promise<string>>}
+ */
+const markerImageCache = new Map();
+
+/**
+ * Fetches and parses an SVG, each URL is only fetched once.
+ * The returned element is a copy, which can be modified.
+ *
+ * @param {string} url - URL of the SVG resource.
+ * @returns {Promise<Element>} A promise resolving to the SVG element.
+ * @throws {Error} Throws an error if the fetch request fails.
+ */
+async function getSvgTemplate(url) {
+  if (!svgTemplateCache.has(url)) {
+    const templatePromise = fetch(url).then(async (response) => {
+      if (!response.ok) {
+        throw new Error(`Failed to fetch SVG from ${url}.`);
+      }
+      return new DOMParser().parseFromString(
+        await response.text(),
+        "image/svg+xml"
+      ).documentElement;
+    });
+
+    // Allow to fetch the SVG again after a failed request
+    templatePromise.catch(() => svgTemplateCache.delete(url));
+    svgTemplateCache.set(url, templatePromise);
+  }
+
+  const template = await svgTemplateCache.get(url);
+  return template.cloneNode(true);
+}
+
+/**
+ * Sets attributes on an SVG element.
+ * @param {Element} svgElement - SVG element to modify.
+ * @param {Object} attributes - Key-value pairs of attributes.
+ */
+function setSvgAttributes(svgElement, attributes) {
+  Object.entries(attributes).forEach(([key, value]) =>
+    svgElement.setAttribute(key, value)
+  );
+}
+
+/**
+ * Encodes an SVG element to a data URI format.
+ * @param {Element} svgElement - SVG element to encode.
+ * @returns {string} Data URI of the SVG element.
+ */
+function encodeSvgToDataUri(svgElement) {
+  return `data:image/svg+xml,${encodeURIComponent(svgElement.outerHTML)}`;
+}
+
+/**
+ * Rasterizes an SVG data URI to a PNG data URI.
+ * If the canvas can't be exported (e.g. in browsers treating SVG images as cross-origin),
+ * the SVG data URI is returned.
+ *
+ * @param {string} svgDataUri - The SVG data URI.
+ * @param {number} width - The width of the image in pixels.
+ * @param {number} height - The height of the image in pixels.
+ * @returns {Promise<string>} The PNG data URI.
+ */
+async function rasterizeSvg(svgDataUri, width, height) {
+  const image = new Image(width, height);
+  image.src = svgDataUri;
+
+  try {
+    await image.decode();
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(image, 0, 0, width, height);
+
+    return canvas.toDataURL("image/png");
+  } catch (error) {
+    console.warn("Failed to rasterize the marker image:", error);
+    return svgDataUri;
+  }
+}
+
+/**
+ * Fetches the icon of a marker. If the icon is not available (e.g. the Places API icons),
+ * the fallback icon is used.
+ *
+ * @param {string | undefined} iconUrl - The URL of the icon SVG.
+ * @param {string | undefined} fallbackIconUrl - The URL of the local fallback icon SVG.
+ * @returns {Promise<Element | undefined>} The icon SVG element, if any icon could be loaded.
+ */
+async function getIconSvg(iconUrl, fallbackIconUrl) {
+  for (const url of new Set([iconUrl, fallbackIconUrl])) {
+    if (!url) {
+      continue;
+    }
+
+    try {
+      return await getSvgTemplate(url);
+    } catch (error) {
+      console.warn(error);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Renders a marker image.
+ *
+ * @param {MarkerStyle} markerStyle - The icon and color of the marker.
+ * @param {"poi" | "center"} variant - The marker variant.
+ * @returns {Promise<string>} The data URI of the marker image.
+ */
+async function renderMarkerImage(markerStyle, variant) {
+  const { iconUrl, fallbackIconUrl, color } = markerStyle;
+  const { base, icon } = MARKER_VARIANTS[variant];
+  const [baseSvgElement, iconSvgElement] = await Promise.all([
+    getSvgTemplate(MARKER_TEMPLATE_URL),
+    getIconSvg(iconUrl, fallbackIconUrl),
+  ]);
+
+  setSvgAttributes(baseSvgElement, { ...base, fill: color });
+
+  // POIs without an icon (e.g. of an unknown type) are shown as plain marker
+  if (iconSvgElement) {
+    setSvgAttributes(iconSvgElement, {
+      ...icon,
+      fill: "white",
+      border: "none",
+      stroke: "none",
+    });
+    baseSvgElement.appendChild(iconSvgElement);
+  }
+
+  return rasterizeSvg(
+    encodeSvgToDataUri(baseSvgElement),
+    base.width,
+    base.height
+  );
+}
+
+/**
+ * Returns the image of a marker, markers with the same icon, color and variant share the same image.
+ *
+ * @param {MarkerStyle} markerStyle - The icon and color of the marker.
+ * @param {"poi" | "center"} [variant] - The marker variant.
+ * @returns {Promise<string>} A promise resolving to the data URI of the marker image.
+ */
+export function getMarkerImage(markerStyle, variant = "poi") {
+  const { iconUrl, fallbackIconUrl, color } = markerStyle;
+  const key = JSON.stringify([iconUrl, fallbackIconUrl, color, variant]);
+
+  if (!markerImageCache.has(key)) {
+    const imagePromise = renderMarkerImage(markerStyle, variant);
+
+    // Allow to render the image again after a failed request
+    imagePromise.catch(() => markerImageCache.delete(key));
+    markerImageCache.set(key, imagePromise);
+  }
+
+  return markerImageCache.get(key);
+}
+
+/**
+ * Starts fetching the marker template, so that it is available when the first markers are created.
+ */
+export function prefetchMarkerTemplates() {
+  getSvgTemplate(MARKER_TEMPLATE_URL).catch((error) => console.error(error));
+}
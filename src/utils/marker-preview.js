@@ -0,0 +1,167 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// A small preview card of the hovered marker, showing its name, category, rating
+// and whether the place is open. The card follows the marker on the screen while
+// the camera moves and doesn't open the sidebar or move the camera.
+
+import { cesiumViewer } from "./cesium.js";
+import { placeTypes } from "./place-type-details.js";
+import {
+  appendSVGElements,
+  generateStarRatingSVGs,
+} from "../sidebar/update-star-rating.js";
+
+// The offset in pixels between the marker position and the left center of the card
+const PREVIEW_OFFSET = new Cesium.Cartesian2(28, -40);
+
+/**
+ * The marker entity and the POI of the current preview
+ * @type {{entity: Cesium.Entity, poi: Poi} | null}
+ */
+let previewedMarker = null;
+
+/**
+ * The preview card element, created with the first preview
+ * @type {HTMLElement | null}
+ */
+let previewElement = null;
+
+/**
+ * Moves the preview card to the current screen position of the previewed marker.
+ * The card is hidden while the marker is not on the screen or hidden (e.g. in a cluster).
+ */
+function updatePreviewPosition() {
+  if (!previewedMarker) {
+    return;
+  }
+
+  const { entity } = previewedMarker;
+  const position = entity.position?.getValue(cesiumViewer.clock.currentTime);
+  const windowPosition =
+    entity.show &&
+    position &&
+    Cesium.SceneTransforms.wgs84ToWindowCoordinates(
+      cesiumViewer.scene,
+      position
+    );
+
+  previewElement.hidden = !windowPosition;
+
+  if (windowPosition) {
+    const x = windowPosition.x + PREVIEW_OFFSET.x;
+    const y = windowPosition.y + PREVIEW_OFFSET.y;
+    previewElement.style.transform = `translate(${x}px, ${y}px) translateY(-50%)`;
+  }
+}
+
+/**
+ * Creates the preview card element, which is reused for all previews.
+ *
+ * @returns {HTMLElement} The card element.
+ */
+function createPreviewElement() {
+  const element = document.createElement("div");
+  element.classList.add("marker-preview");
+  element.hidden = true;
+  document.querySelector(".custom-overlay").appendChild(element);
+
+  // the card follows the marker with every rendered frame
+  cesiumViewer.scene.postRender.addEventListener(updatePreviewPosition);
+
+  return element;
+}
+
+/**
+ * Fills the preview card with the data of a POI.
+ *
+ * @param {Poi} poi - The POI.
+ */
+function updatePreviewContent(poi) {
+  previewElement.replaceChildren();
+
+  const nameElement = document.createElement("p");
+  nameElement.classList.add("marker-preview-name");
+  nameElement.textContent = poi.name;
+  previewElement.appendChild(nameElement);
+
+  // Custom POI providers may use types which are not known place types
+  const [type] = poi.types;
+  const typeElement = document.createElement("p");
+  typeElement.classList.add("marker-preview-type");
+  typeElement.textContent = placeTypes[type] ?? type ?? "";
+  previewElement.appendChild(typeElement);
+
+  if (poi.rating) {
+    const ratingElement = document.createElement("div");
+    ratingElement.classList.add("marker-preview-rating");
+
+    const ratingNumberElement = document.createElement("span");
+    ratingNumberElement.textContent = poi.rating;
+    ratingElement.appendChild(ratingNumberElement);
+
+    const ratingStarsElement = document.createElement("span");
+    ratingStarsElement.classList.add("marker-preview-stars");
+    appendSVGElements(ratingStarsElement, generateStarRatingSVGs(poi.rating));
+    ratingElement.appendChild(ratingStarsElement);
+
+    if (poi.userRatingsTotal) {
+      const totalElement = document.createElement("span");
+      totalElement.textContent = `(${poi.userRatingsTotal.toLocaleString()})`;
+      ratingElement.appendChild(totalElement);
+    }
+
+    previewElement.appendChild(ratingElement);
+  }
+
+  // POI providers without opening hours show no status
+  if (typeof poi.isOpen === "boolean") {
+    const statusElement = document.createElement("p");
+    statusElement.classList.add(poi.isOpen ? "open" : "closed");
+    statusElement.textContent = poi.isOpen ? "Open" : "Closed";
+    previewElement.appendChild(statusElement);
+  }
+}
+
+/**
+ * Shows the preview card of a marker.
+ *
+ * @param {Cesium.Entity} entity - The marker entity.
+ * @param {Poi} poi - The POI of the marker.
+ */
+export function showMarkerPreview(entity, poi) {
+  if (previewedMarker?.entity === entity) {
+    return;
+  }
+
+  if (!previewElement) {
+    previewElement = createPreviewElement();
+  }
+
+  previewedMarker = { entity, poi };
+
+  updatePreviewContent(poi);
+  updatePreviewPosition();
+}
+
+/**
+ * Hides the preview card.
+ */
+export function hideMarkerPreview() {
+  previewedMarker = null;
+
+  if (previewElement) {
+    previewElement.hidden = true;
+  }
+}
@@ -0,0 +1,132 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// The directory of the local POI icons
+const POI_ICONS_PATH = "assets/icons/poi";
+
+/**
+ * The local icons of the place types, used if a POI has no icon
+ * or its icon (e.g. of the Places API) can't be loaded.
+ */
+const FALLBACK_ICONS = {
+  airport: "flight",
+  amusement_park: "photo_camera",
+  aquarium: "photo_camera",
+  art_gallery: "photo_camera",
+  atm: "bank",
+  bakery: "coffee",
+  bank: "bank",
+  bar: "bar",
+  book_store: "store",
+  bus_station: "bus",
+  cafe: "coffee",
+  clothing_store: "store",
+  convenience_store: "supermarket",
+  dentist: "doctor",
+  department_store: "store",
+  doctor: "doctor",
+  drugstore: "store",
+  grocery_or_supermarket: "supermarket",
+  hospital: "doctor",
+  light_rail_station: "train",
+  meal_takeaway: "restaurant",
+  movie_theater: "movie",
+  museum: "photo_camera",
+  night_club: "bar",
+  park: "park",
+  parking: "parking",
+  pharmacy: "doctor",
+  primary_school: "school",
+  restaurant: "restaurant",
+  school: "school",
+  secondary_school: "school",
+  shopping_mall: "store",
+  store: "store",
+  subway_station: "train",
+  supermarket: "supermarket",
+  tourist_attraction: "photo_camera",
+  train_station: "train",
+  transit_station: "train",
+  university: "school",
+  zoo: "park",
+};
+
+/**
+ * Returns the URL of the local fallback icon of the first type of a POI which has one.
+ *
+ * @param {string[]} types - The types of the POI.
+ * @returns {string | undefined} The URL of the icon.
+ */
+function getFallbackIconUrl(types) {
+  const type = types.find((type) => FALLBACK_ICONS[type]);
+  return type && `${POI_ICONS_PATH}/${FALLBACK_ICONS[type]}.svg`;
+}
+
+/**
+ * Returns the type which stands for a POI, both in its marker style and its category.
+ *
+ * It is the first type of the POI which is one of the searched `poi.types`,
+ * then the first type with a style in the `markers.types` config, then the first type
+ * with a fallback icon and at last simply the first type of the POI.
+ *
+ * @param {Poi} poi - The POI.
+ * @param {string[]} poiTypes - The searched types, i.e. the `poi.types` config.
+ * @param {MarkersConfig} markersConfig - The markers config.
+ * @returns {string | undefined} The type, `undefined` for POIs without a type.
+ */
+function getPoiType(poi, poiTypes, markersConfig) {
+  return (
+    poi.types.find((type) => poiTypes.includes(type)) ??
+    poi.types.find((type) => markersConfig.types[type] !== undefined) ??
+    poi.types.find((type) => FALLBACK_ICONS[type]) ??
+    poi.types[0]
+  );
+}
+
+/**
+ * Returns the icon and color of the marker of a POI.
+ *
+ * The style of the type of the POI (see `getPoiType`) in the `markers.types` config is used,
+ * then the icon and color of the POI (e.g. from the Places API) and at last
+ * the fallback icon of its type and the `markers.color`.
+ *
+ * @param {Poi} poi - The POI.
+ * @param {string[]} poiTypes - The searched types, i.e. the `poi.types` config.
+ * @param {MarkersConfig} markersConfig - The markers config.
+ * @returns {MarkerStyle} The marker style.
+ */
+export function getMarkerStyle(poi, poiTypes, markersConfig) {
+  const type = getPoiType(poi, poiTypes, markersConfig);
+  const typeStyle = markersConfig.types[type] ?? {};
+  const fallbackIconUrl = getFallbackIconUrl([type, ...poi.types]);
+
+  return {
+    iconUrl: typeStyle.icon ?? poi.iconUrl ?? fallbackIconUrl,
+    fallbackIconUrl,
+    color: typeStyle.color ?? poi.iconBackgroundColor ?? markersConfig.color,
+  };
+}
+
+/**
+ * Returns the category of a POI, which groups the POIs in the legend and the score,
+ * so that each POI is counted in one category only. It is the type of its marker style (see `getPoiType`).
+ *
+ * @param {Poi} poi - The POI.
+ * @param {string[]} poiTypes - The searched types, i.e. the `poi.types` config.
+ * @param {MarkersConfig} markersConfig - The markers config.
+ * @returns {string} The category, "other" for POIs without a type.
+ */
+export function getPoiCategory(poi, poiTypes, markersConfig) {
+  return getPoiType(poi, poiTypes, markersConfig) ?? "other";
+}
@@ -0,0 +1,137 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// The "Neighbourhood score" panel on the map, which shows the score of the current location
+// (see `score-calculation.js`) and recalculates it when the POIs or the config changed.
+
+import { activeConfig } from "./app.js";
+import { getMapPanelColumn } from "./map-panels.js";
+import { placeTypes } from "./place-type-details.js";
+import { calculateNeighbourhoodScore } from "./score-calculation.js";
+
+/**
+ * The POIs and the center of the last search, to recalculate the score when the config changed
+ * @type {{pois: Poi[], types: string[], centerCoordinates: google.maps.LatLngLiteral} | null}
+ */
+let lastPoisLoad = null;
+
+/**
+ * The score of the current POIs
+ * @type {NeighbourhoodScore | null}
+ */
+let currentScore = null;
+
+/**
+ * Returns the neighbourhood score of the current location, e.g. to show it on a listing page.
+ * The result only contains JSON values and can be passed to `JSON.stringify` as it is.
+ *
+ * @returns {NeighbourhoodScore | null} The score, or `null` before the POIs are loaded.
+ */
+export function getNeighbourhoodScore() {
+  return currentScore;
+}
+
+/**
+ * Recalculates the score of the last loaded POIs with the current config
+ * and dispatches the `scorechange` event on `window`.
+ */
+function updateNeighbourhoodScore() {
+  if (!lastPoisLoad) {
+    return;
+  }
+
+  const { pois, types, centerCoordinates } = lastPoisLoad;
+  currentScore = calculateNeighbourhoodScore(
+    pois,
+    centerCoordinates,
+    activeConfig.score,
+    types,
+    activeConfig.markers
+  );
+
+  window.dispatchEvent(
+    new CustomEvent("scorechange", { detail: { score: currentScore } })
+  );
+}
+
+/**
+ * Creates the breakdown entry of a category with a bar of its coverage.
+ *
+ * @param {NeighbourhoodScore["categories"][number]} category - The score of the category.
+ * @returns {HTMLLIElement} The breakdown entry.
+ */
+function createScoreEntry({ type, coverage, places }) {
+  const entry = document.createElement("li");
+  entry.classList.add("neighbourhood-score-entry");
+
+  const label = document.createElement("span");
+  label.textContent = `${placeTypes[type] ?? type} (${places})`;
+  entry.appendChild(label);
+
+  const bar = document.createElement("span");
+  bar.classList.add("neighbourhood-score-bar");
+  bar.style.setProperty("--coverage", coverage);
+  bar.setAttribute("role", "img");
+  bar.setAttribute("aria-label", `${Math.round(coverage * 100)}% coverage`);
+  entry.appendChild(bar);
+
+  return entry;
+}
+
+/**
+ * Creates the score panel on the map, which shows the score and its breakdown by category.
+ * The score is calculated whenever POIs are loaded and when the `score` config changes.
+ */
+export function createNeighbourhoodScore() {
+  const scoreElement = document.createElement("details");
+  scoreElement.classList.add("neighbourhood-score");
+  scoreElement.hidden = true;
+
+  const titleElement = document.createElement("summary");
+  titleElement.textContent = "Neighbourhood score";
+
+  const valueElement = document.createElement("span");
+  valueElement.classList.add("neighbourhood-score-value");
+  titleElement.appendChild(valueElement);
+  scoreElement.appendChild(titleElement);
+
+  const listElement = document.createElement("ul");
+  scoreElement.appendChild(listElement);
+
+  getMapPanelColumn().appendChild(scoreElement);
+
+  window.addEventListener("scorechange", (event) => {
+    const { score, categories } = event.detail.score;
+
+    scoreElement.hidden = categories.length === 0;
+    valueElement.textContent = score;
+    listElement.replaceChildren(...categories.map(createScoreEntry));
+  });
+
+  window.addEventListener("poisload", (event) => {
+    lastPoisLoad = event.detail;
+    updateNeighbourhoodScore();
+  });
+
+  window.addEventListener("configchange", (event) => {
+    // the `markers.types` decide the category of the POIs without a searched type
+    if (
+      event.detail.changedPaths.some(
+        (path) => path.startsWith("score.") || path.startsWith("markers.types")
+      )
+    ) {
+      updateNeighbourhoodScore();
+    }
+  });
+}
@@ -14,8 +14,8 @@
 
 import { GOOGLE_MAPS_API_KEY } from "../../env.js";
 
-/** @type {google.maps.places.PlacesService} */
-let placesService = null;
+/** @type {Promise<google.maps.places.PlacesService>} */
+let placesServicePromise = null;
 
 /**
  * Asynchronously initializes and loads the Google Maps JavaScript API with specific configurations.
@@ -23,6 +23,7 @@ let placesService = null;
  * and creating a PlacesService for use in the application.
  *
  * @param {string} GOOGLE_MAPS_API_KEY - The Google Maps API key required for API access.
+ * @returns {Promise<google.maps.places.PlacesService>} The PlacesService.
  */
 async function initGoogleMaps() {
   // This part is from https://developers.google.com/maps/documentation/javascript/libraries
@@ -40,13 +41,21 @@ async function initGoogleMaps() {
   // Load the Google Maps places libray
   await google.maps.importLibrary("places");
 
-  // assign the PlacesService to the local global variable
-  placesService = new google.maps.places.PlacesService(
-    document.createElement("div")
-  );
+  return new google.maps.places.PlacesService(document.createElement("div"));
 }
 
-await initGoogleMaps();
+/**
+ * Loads the Google Maps JavaScript API with the Places library once, when it is needed first.
+ * This is not done on import, so that other POI providers don't load the API.
+ *
+ * @returns {Promise<google.maps.places.PlacesService>} The PlacesService.
+ */
+export function loadGoogleMaps() {
+  if (!placesServicePromise) {
+    placesServicePromise = initGoogleMaps();
+  }
+  return placesServicePromise;
+}
 
 /**
  * Returns details for a given place ID.
@@ -55,6 +64,7 @@ await initGoogleMaps();
  * @returns {Promise<google.maps.places.PlaceResult>} - A promise that resolves with an object containing details for the specified place.
  */
 export async function getPlaceDetails(placeId) {
+  const placesService = await loadGoogleMaps();
   const request = {
     placeId: placeId,
   };
@@ -78,6 +88,8 @@ export async function getPlaceDetails(placeId) {
  */
 
 async function asyncNearbySearch(request) {
+  const placesService = await loadGoogleMaps();
+
   return new Promise((resolve, reject) => {
     placesService.nearbySearch(request, (results, status) => {
       if (status === "OK" || status === "ZERO_RESULTS") {
@@ -90,62 +102,98 @@ async function asyncNearbySearch(request) {
 }
 
 /**
- * Retrieves the nearby places based on the selected POIs
+ * Converts a place result of the Places API to the normalized POI model.
  *
- * @param {PoiConfig} poiConfig
- * @param {google.maps.LatLng} coordinates
+ * @param {google.maps.places.PlaceResult} place - The place result.
+ * @returns {Poi} The POI.
+ */
+function toPoi(place) {
+  return {
+    id: place.place_id,
+    name: place.name,
+    coordinates: place.geometry.location.toJSON(),
+    types: place.types ?? [],
+    rating: place.rating,
+    userRatingsTotal: place.user_ratings_total,
+    // the search results only contain whether the place is open at the time of the search
+    isOpen: place.opening_hours?.open_now,
+    iconUrl: place.icon_mask_base_uri && `${place.icon_mask_base_uri}.svg`,
+    iconBackgroundColor: place.icon_background_color,
+  };
+}
+
+/**
+ * Converts the place details of the Places API to the normalized POI details model.
  *
- * @returns {Promise<google.maps.places.PlaceResult[]>}
+ * @param {google.maps.places.PlaceResult} place - The place details.
+ * @returns {PoiDetails} The POI details.
  */
-export async function getNearbyPois(poiConfig, coordinates) {
-  const placesPromises = [];
+function toPoiDetails(place) {
+  return {
+    ...toPoi(place),
+    photoUrl: place.photos?.[0].getUrl(),
+    address: place.formatted_address,
+    website: place.website,
+    phoneNumber: place.formatted_phone_number,
+    openingHours: place.opening_hours && {
+      isOpen: place.opening_hours.isOpen(),
+      weekdayText: place.opening_hours.weekday_text ?? [],
+    },
+    reviews: place.reviews?.map((review) => ({
+      authorName: review.author_name,
+      rating: review.rating,
+      text: review.text,
+      relativeTimeDescription: review.relative_time_description,
+    })),
+  };
+}
 
-  for (const locationType of poiConfig.types) {
-    /** @type {google.maps.places.PlaceSearchRequest} */
-    const request = {
-      location: coordinates,
-      radius: poiConfig.searchRadius,
-      type: locationType,
-    };
+/**
+ * The POI provider using the Google Places API (nearby search and place details).
+ * This is the default POI provider.
+ *
+ * @type {PoiProvider}
+ */
+export const placesProvider = {
+  /**
+   * Searches the places of the given types around the center, with one nearby search per type.
+   *
+   * @param {google.maps.LatLngLiteral} center - The center of the search.
+   * @param {number} radius - The search radius in meters.
+   * @param {string[]} types - The place types to search for.
+   * @returns {Promise<Poi[]>} The found POIs (a place can be found for multiple types).
+   */
+  async search(center, radius, types) {
+    const placesResults = await Promise.all(
+      types.map(async (type) => {
+        /** @type {google.maps.places.PlaceSearchRequest} */
+        const request = { location: center, radius, type };
+        const places = await asyncNearbySearch(request);
 
-    const placesPromise = asyncNearbySearch(request);
-    placesPromises.push(placesPromise);
-  }
+        return places.map((place) => {
+          const poi = toPoi(place);
+          // make sure the POI is assigned to the type it was found for
+          if (!poi.types.includes(type)) {
+            poi.types = [...poi.types, type];
+          }
+          return poi;
+        });
+      })
+    );
 
-  const placesResults = await Promise.all(placesPromises);
-  const allPlaces = placesResults.flat();
-  const totalNumberOfPlaces = allPlaces.length;
+    return placesResults.flat();
+  },
 
   /**
-   * Reduce places depending on the density configuration value
-   * while keeping the proportion per type in the requested area
+   * Returns the details of a place.
    *
-   * @param {google.maps.places.PlaceResult[]} placesOfOneType - The place results of a location type
-   * @returns {google.maps.places.PlaceResult[]}
+   * @param {string} id - The place ID.
+   * @returns {Promise<PoiDetails>} The POI details.
    */
-  const reducePlaces = (placesOfOneType) => {
-    const numberOfPlaces = Math.round(
-      (placesOfOneType.length / totalNumberOfPlaces) * poiConfig.density
-    );
-    // Keep at least one place per type
-    return placesOfOneType.slice(0, Math.max(1, numberOfPlaces));
-  };
-
-  const places =
-    totalNumberOfPlaces <= poiConfig.density
-      ? allPlaces
-      : placesResults.map(reducePlaces).flat();
-
-  // A place can possibly have multiple types and therefore can be fetched more than once,
-  // so we need to filter out duplicates.
-  return places.reduce((uniquePlaces, place) => {
-    // Check if the place ID is not in the accumulator array
-    if (!uniquePlaces.some(({ place_id }) => place_id === place.place_id)) {
-      uniquePlaces.push(place);
-    }
-    return uniquePlaces;
-  }, []);
-}
+  async getDetails(id) {
+    return toPoiDetails(await getPlaceDetails(id));
+  },
+};
 
 /**
  * Fetches the coordinates of a place using its placeId via the Google Places API.
@@ -153,7 +201,9 @@ export async function getNearbyPois(poiConfig, coordinates) {
  * @param {string} placeId - The placeId to fetch the coordinates for.
  * @returns {Promise<google.maps.LatLng | null>} The coordinates of the given place or null if not found.
  */
-function fetchCoordsByPlaceId(placeId) {
+async function fetchCoordsByPlaceId(placeId) {
+  const placesService = await loadGoogleMaps();
+
   return new Promise((resolve, reject) => {
     const request = {
       placeId: placeId,
@@ -176,7 +226,9 @@ function fetchCoordsByPlaceId(placeId) {
  * @param {string} placeName - The name of the place to fetch the coordinates for.
  * @returns {Promise<google.maps.LatLng | null>} The coordinates of the given place or null if not found.
  */
-function fetchCoordsByPlaceName(placeName) {
+async function fetchCoordsByPlaceName(placeName) {
+  const placesService = await loadGoogleMaps();
+
   return new Promise((resolve, reject) => {
     const request = {
       query: placeName,
@@ -203,6 +255,8 @@ function fetchCoordsByPlaceName(placeName) {
  * @returns {Promise<google.maps.LatLng>} The Google Maps LatLng object.
  */
 export async function getLocation(location, type) {
+  await loadGoogleMaps();
+
   const coords = new google.maps.LatLng(location);
 
   // If the coordinates are valid, return them immediately
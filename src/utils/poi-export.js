@@ -0,0 +1,213 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { activeConfig } from "./app.js";
+import { getDisplayedPois } from "./create-markers.js";
+import { downloadFile } from "./download.js";
+import { getDistance } from "./geo.js";
+import { createTextButton } from "./map-panels.js";
+
+/**
+ * The supported export formats with their file extension and MIME type.
+ */
+const EXPORT_FORMATS = {
+  geojson: { extension: "geojson", mimeType: "application/geo+json" },
+  csv: { extension: "csv", mimeType: "text/csv" },
+};
+
+/**
+ * The columns of the CSV export, in this order.
+ */
+const CSV_COLUMNS = [
+  "name",
+  "place_id",
+  "types",
+  "lat",
+  "lng",
+  "rating",
+  "distance",
+];
+
+/**
+ * Returns the exported values of a POI.
+ *
+ * @param {Poi} poi - The POI.
+ * @param {google.maps.LatLngLiteral} centerCoordinates - The center of the map.
+ * @returns {Object} The exported values, the distance to the center is in meters.
+ */
+function getExportValues(poi, centerCoordinates) {
+  return {
+    name: poi.name,
+    place_id: poi.id,
+    types: poi.types,
+    lat: poi.coordinates.lat,
+    lng: poi.coordinates.lng,
+    rating: poi.rating ?? null,
+    distance: Math.round(getDistance(centerCoordinates, poi.coordinates)),
+  };
+}
+
+/**
+ * Converts POIs to a GeoJSON FeatureCollection of point features.
+ *
+ * @param {Poi[]} pois - The POIs.
+ * @param {google.maps.LatLngLiteral} centerCoordinates - The center of the map.
+ * @returns {Object} The GeoJSON FeatureCollection.
+ */
+export function poisToGeoJson(pois, centerCoordinates) {
+  return {
+    type: "FeatureCollection",
+    features: pois.map((poi) => {
+      const { lat, lng, ...properties } = getExportValues(
+        poi,
+        centerCoordinates
+      );
+
+      return {
+        type: "Feature",
+        id: poi.id,
+        geometry: { type: "Point", coordinates: [lng, lat] },
+        properties,
+      };
+    }),
+  };
+}
+
+/**
+ * Escapes a value for a CSV field.
+ * Text starting with a formula character is prefixed with a quote,
+ * so that spreadsheet apps don't evaluate names of POIs as formulas.
+ *
+ * @param {*} value - The value of the field.
+ * @returns {string} The escaped field.
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (typeof value !== "string") {
+    return String(value);
+  }
+
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts POIs to CSV text with a header row. The types are separated by commas.
+ *
+ * @param {Poi[]} pois - The POIs.
+ * @param {google.maps.LatLngLiteral} centerCoordinates - The center of the map.
+ * @returns {string} The CSV text.
+ */
+export function poisToCsv(pois, centerCoordinates) {
+  const rows = pois.map((poi) => {
+    const values = getExportValues(poi, centerCoordinates);
+
+    return CSV_COLUMNS.map((column) =>
+      toCsvField(
+        column === "types" ? values.types.join(",") : values[column]
+      )
+    ).join(",");
+  });
+
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n");
+}
+
+/**
+ * Returns the export format of the given name.
+ *
+ * @param {string} format - The name of the format.
+ * @returns {{mimeType: string, extension: string}} The export format.
+ * @throws {Error} If the format is not supported.
+ */
+function getExportFormat(format) {
+  const exportFormat = EXPORT_FORMATS[format];
+
+  if (!exportFormat) {
+    throw new Error(
+      `Unsupported POI export format "${format}", use "geojson" or "csv"`
+    );
+  }
+
+  return exportFormat;
+}
+
+/**
+ * Exports the POIs currently shown on the map (after the density reduction), without downloading a file.
+ * Each POI contains its name, place ID, types, coordinates, rating and distance to the center in meters.
+ *
+ * @param {"geojson" | "csv"} [format] - The export format.
+ * @returns {string} The exported file content.
+ * @throws {Error} If the format is not supported.
+ *
+ * @example
+ * const csv = exportPois("csv");
+ */
+export function exportPois(format = "geojson") {
+  getExportFormat(format);
+
+  const { pois, centerCoordinates } = getDisplayedPois();
+
+  return format === "csv"
+    ? poisToCsv(pois, centerCoordinates)
+    : JSON.stringify(poisToGeoJson(pois, centerCoordinates), null, 2);
+}
+
+/**
+ * Exports the POIs currently shown on the map like `exportPois` and downloads the file.
+ *
+ * @param {"geojson" | "csv"} [format] - The export format.
+ * @returns {string} The exported file content.
+ * @throws {Error} If the format is not supported.
+ */
+export function downloadPois(format = "geojson") {
+  const exportFormat = getExportFormat(format);
+  const content = exportPois(format);
+
+  downloadFile(
+    content,
+    `pois-${activeConfig.location.name}.${exportFormat.extension}`,
+    exportFormat.mimeType
+  );
+
+  return content;
+}
+
+/**
+ * Creates the export control on the map to download the shown POIs as GeoJSON or CSV file.
+ */
+export function createPoiExportControl() {
+  const overlay = document.querySelector(".custom-overlay");
+
+  const exportControl = document.createElement("div");
+  exportControl.classList.add("poi-export-control");
+
+  const label = document.createElement("p");
+  label.textContent = "Export POIs";
+  exportControl.appendChild(label);
+
+  for (const [format, buttonText] of [
+    ["geojson", "GeoJSON"],
+    ["csv", "CSV"],
+  ]) {
+    const button = createTextButton(buttonText, () => downloadPois(format));
+    button.setAttribute("aria-label", `Export POIs as ${buttonText}`);
+    exportControl.appendChild(button);
+  }
+
+  overlay.appendChild(exportControl);
+}
@@ -0,0 +1,276 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// POI providers which don't use the Google Places API.
+// Every provider implements the `PoiProvider` interface (see `src/types/poi.d.ts`),
+// the Places API provider is located in `places.js`.
+
+import { getDistance } from "./geo.js";
+
+/**
+ * Creates a POI provider searching an in-memory list of POIs, e.g. fixtures for tests.
+ * A POI is found if it is within the radius and has one of the searched types.
+ *
+ * @param {Poi[]} pois - The POIs to search.
+ * @param {Object<string, Partial<PoiDetails>>} [details] - Additional details per POI ID.
+ * @returns {PoiProvider} The POI provider.
+ *
+ * @example
+ * setPoiProvider(
+ *   createFixtureProvider([
+ *     { id: "1", name: "Bar", coordinates: { lat: 40.7425, lng: -74.0061 }, types: ["bar"] },
+ *   ])
+ * );
+ */
+export function createFixtureProvider(pois, details = {}) {
+  return {
+    async search(center, radius, types) {
+      return pois.filter(
+        (poi) =>
+          getDistance(center, poi.coordinates) <= radius &&
+          poi.types.some((type) => types.includes(type))
+      );
+    },
+
+    async getDetails(id) {
+      const poi = pois.find((poi) => poi.id === id);
+
+      if (!poi) {
+        throw new Error(`Failed to get POI details: unknown POI ID "${id}"`);
+      }
+
+      return { ...poi, ...details[id] };
+    },
+  };
+}
+
+/**
+ * Returns the types of a GeoJSON feature, either from a `types` array
+ * or a (comma-separated) `types`, `type` or `category` property.
+ *
+ * @param {Object} properties - The properties of the feature.
+ * @returns {string[]} The types.
+ */
+function getFeatureTypes(properties) {
+  if (Array.isArray(properties.types)) {
+    return properties.types;
+  }
+
+  const type =
+    properties.types ?? properties.type ?? properties.category ?? "";
+  return String(type)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Converts a GeoJSON point feature to the normalized POI details model.
+ * All properties of the feature are kept as `properties`.
+ *
+ * @param {Object} feature - The GeoJSON feature with a `Point` geometry.
+ * @param {string} fallbackId - The ID used if neither the feature nor its properties have an ID.
+ * @returns {PoiDetails} The POI details.
+ */
+export function geoJsonFeatureToPoi(feature, fallbackId) {
+  const properties = feature.properties ?? {};
+  const [lng, lat] = feature.geometry.coordinates;
+  const rating = parseFloat(properties.rating);
+
+  return {
+    id: String(feature.id ?? properties.id ?? fallbackId),
+    name: properties.name ?? "",
+    coordinates: { lat, lng },
+    types: getFeatureTypes(properties),
+    rating: Number.isFinite(rating) ? rating : undefined,
+    // empty values (e.g. of CSV columns) are treated as missing
+    iconUrl: properties.icon || undefined,
+    iconBackgroundColor: properties.color || undefined,
+    photoUrl: properties.photo || undefined,
+    address: properties.address || undefined,
+    website: properties.website || undefined,
+    phoneNumber: properties.phone || undefined,
+    properties,
+  };
+}
+
+/**
+ * Converts the point features of a GeoJSON FeatureCollection to POIs.
+ * Features of other geometry types and points without valid coordinates are skipped.
+ *
+ * @param {Object} featureCollection - The GeoJSON FeatureCollection.
+ * @param {string} [idPrefix] - The prefix of the IDs used for features without an ID.
+ * @returns {PoiDetails[]} The POIs.
+ */
+export function geoJsonToPois(featureCollection, idPrefix = "feature") {
+  return (featureCollection.features ?? [])
+    .filter((feature) => feature.geometry?.type === "Point")
+    .flatMap((feature, index) => {
+      const [lng, lat] = feature.geometry.coordinates ?? [];
+
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        console.warn(
+          `GeoJSON point ${index + 1}: invalid coordinates are skipped`
+        );
+        return [];
+      }
+
+      return [geoJsonFeatureToPoi(feature, `${idPrefix}-${index}`)];
+    });
+}
+
+/**
+ * Creates a POI provider searching the point features of a static GeoJSON file.
+ * The file is fetched once, when searching for the first time.
+ *
+ * The features need a `name` and a `type` (or `types`) property.
+ * The optional `rating`, `icon`, `color`, `photo`, `address`, `website` and `phone`
+ * properties are shown on the marker and in the sidebar.
+ *
+ * @param {string} url - The URL of the GeoJSON file.
+ * @returns {PoiProvider} The POI provider.
+ */
+export function createGeoJsonProvider(url) {
+  let fixtureProviderPromise = null;
+
+  const getFixtureProvider = () => {
+    if (!fixtureProviderPromise) {
+      fixtureProviderPromise = fetch(url)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`${url} responded with status ${response.status}`);
+          }
+          return response.json();
+        })
+        .then((featureCollection) =>
+          createFixtureProvider(geoJsonToPois(featureCollection))
+        );
+    }
+    return fixtureProviderPromise;
+  };
+
+  return {
+    async search(center, radius, types) {
+      return (await getFixtureProvider()).search(center, radius, types);
+    },
+
+    async getDetails(id) {
+      return (await getFixtureProvider()).getDetails(id);
+    },
+  };
+}
+
+/**
+ * Fetches JSON data from a REST endpoint.
+ *
+ * @param {string} url - The URL to fetch.
+ * @returns {Promise<*>} The parsed response.
+ */
+async function fetchJson(url) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`${url} responded with status ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Normalizes a POI of a REST endpoint: the ID is converted to a string, the coordinates
+ * to numbers and missing `types` default to `[]`.
+ *
+ * @param {*} item - The POI of the response.
+ * @returns {PoiDetails | null} The POI, or `null` if it has no ID or no valid coordinates.
+ */
+function restItemToPoi(item) {
+  const lat = parseFloat(item?.coordinates?.lat);
+  const lng = parseFloat(item?.coordinates?.lng);
+
+  if (item?.id === undefined || item.id === null) {
+    return null;
+  }
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return null;
+  }
+
+  return {
+    ...item,
+    id: String(item.id),
+    name: item.name ?? "",
+    coordinates: { lat, lng },
+    types: Array.isArray(item.types) ? item.types.map(String) : [],
+  };
+}
+
+/**
+ * Creates a POI provider requesting a custom REST endpoint:
+ * - `GET <url>?lat=<lat>&lng=<lng>&radius=<meters>&types=<type,type>` responds with a `Poi[]` array
+ * - `GET <url>/<id>` responds with the `PoiDetails` of a POI
+ *
+ * The responses are normalized like the POIs of files, POIs without an ID
+ * or valid coordinates are skipped with a warning.
+ *
+ * @param {string} url - The base URL of the endpoint.
+ * @returns {PoiProvider} The POI provider.
+ */
+export function createRestProvider(url) {
+  const baseUrl = url.replace(/\/$/, "");
+
+  return {
+    async search(center, radius, types) {
+      const params = new URLSearchParams({
+        lat: center.lat,
+        lng: center.lng,
+        radius,
+        types: types.join(","),
+      });
+
+      const searchUrl = `${baseUrl}?${params}`;
+      const items = await fetchJson(searchUrl);
+
+      if (!Array.isArray(items)) {
+        console.warn(`${searchUrl} didn't respond with an array of POIs`);
+        return [];
+      }
+
+      return items.flatMap((item, index) => {
+        const poi = restItemToPoi(item);
+
+        if (!poi) {
+          console.warn(
+            `Skipping POI ${index} of ${searchUrl}: missing ID or invalid coordinates`
+          );
+          return [];
+        }
+
+        return [poi];
+      });
+    },
+
+    async getDetails(id) {
+      const detailsUrl = `${baseUrl}/${encodeURIComponent(id)}`;
+      const poi = restItemToPoi(await fetchJson(detailsUrl));
+
+      if (!poi) {
+        throw new Error(
+          `${detailsUrl} responded with POI details without ID or valid coordinates`
+        );
+      }
+
+      return poi;
+    },
+  };
+}
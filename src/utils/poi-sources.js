@@ -0,0 +1,291 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Loading of own POIs from the GeoJSON, CSV and KML files of the `poi.sources` config.
+// All formats are converted to GeoJSON point features first, so that the
+// `name`, `type`, `icon`, `color`, ... properties are handled the same way for each format.
+
+import { geoJsonToPois } from "./poi-providers.js";
+
+/**
+ * The file formats by file extension.
+ */
+const FORMATS_BY_EXTENSION = {
+  geojson: "geojson",
+  json: "geojson",
+  csv: "csv",
+  kml: "kml",
+};
+
+/**
+ * The loaded POIs by the URL of their source, so that the files are only fetched once.
+ * @type {Map<string, Promise<PoiDetails[]>>}
+ */
+const loadedSources = new Map();
+
+/**
+ * Parses CSV text into rows of fields. Fields can be quoted with double quotes
+ * to contain commas, line breaks or (doubled) quotes.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let isQuoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (isQuoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      isQuoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      // treat "\r\n" as a single line break
+      if (char === "\r" && text[index + 1] === "\n") {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  // the last line might not end with a line break
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // skip empty lines
+  return rows.filter((fields) => fields.some(Boolean));
+}
+
+/**
+ * Converts CSV text with a header row to GeoJSON point features.
+ * The coordinates are read from the `lat` / `latitude` and `lng` / `lon` / `longitude` columns,
+ * all columns are kept as properties. Rows without valid coordinates are skipped.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Object} The GeoJSON FeatureCollection.
+ */
+export function csvToGeoJson(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((column) => column.trim());
+  const findColumn = (names) =>
+    columns.findIndex((column) => names.includes(column.toLowerCase()));
+
+  const latColumn = findColumn(["lat", "latitude"]);
+  const lngColumn = findColumn(["lng", "lon", "long", "longitude"]);
+
+  if (latColumn === -1 || lngColumn === -1) {
+    throw new Error("CSV file needs a lat and lng column");
+  }
+
+  const features = rows.flatMap((fields, index) => {
+    // parseFloat, as Number would read empty fields as 0
+    const lat = parseFloat(fields[latColumn]);
+    const lng = parseFloat(fields[lngColumn]);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      // the header is line 1
+      console.warn(`CSV line ${index + 2}: invalid coordinates are skipped`);
+      return [];
+    }
+
+    const properties = Object.fromEntries(
+      columns.map((column, columnIndex) => [
+        column,
+        fields[columnIndex]?.trim() ?? "",
+      ])
+    );
+
+    return [
+      {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [lng, lat] },
+        properties,
+      },
+    ];
+  });
+
+  return { type: "FeatureCollection", features };
+}
+
+/**
+ * Converts the point placemarks of a KML document to GeoJSON point features.
+ * The `name` and `description` of a placemark and its `ExtendedData` are used as properties.
+ * Placemarks without valid coordinates are skipped.
+ *
+ * @param {string} text - The KML text.
+ * @returns {Object} The GeoJSON FeatureCollection.
+ */
+export function kmlToGeoJson(text) {
+  const kmlDocument = new DOMParser().parseFromString(text, "application/xml");
+
+  if (kmlDocument.querySelector("parsererror")) {
+    throw new Error("invalid KML document");
+  }
+
+  const features = [...kmlDocument.getElementsByTagName("Placemark")].flatMap(
+    (placemark, index) => {
+      const coordinates = placemark
+        .querySelector("Point > coordinates")
+        ?.textContent.trim();
+
+      // only points are shown as POIs
+      if (!coordinates) {
+        return [];
+      }
+
+      // KML coordinates are "lng,lat[,altitude]"
+      const [lng, lat] = coordinates.split(",").map(parseFloat);
+
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        console.warn(
+          `KML placemark ${index + 1}: invalid coordinates are skipped`
+        );
+        return [];
+      }
+
+      const properties = {};
+
+      for (const tagName of ["name", "description"]) {
+        const element = placemark.querySelector(`:scope > ${tagName}`);
+        if (element) {
+          properties[tagName] = element.textContent.trim();
+        }
+      }
+
+      // <Data name="type"><value>bar</value></Data> and <SimpleData name="type">bar</SimpleData>
+      for (const data of placemark.querySelectorAll("ExtendedData Data")) {
+        properties[data.getAttribute("name")] =
+          data.querySelector("value")?.textContent.trim() ?? "";
+      }
+      for (const data of placemark.querySelectorAll(
+        "ExtendedData SimpleData"
+      )) {
+        properties[data.getAttribute("name")] = data.textContent.trim();
+      }
+
+      return [
+        {
+          type: "Feature",
+          id: placemark.getAttribute("id") ?? undefined,
+          geometry: { type: "Point", coordinates: [lng, lat] },
+          properties,
+        },
+      ];
+    }
+  );
+
+  return { type: "FeatureCollection", features };
+}
+
+/**
+ * Returns the format of a POI source, either the configured one or the one of its file extension.
+ *
+ * @param {PoiSourceConfig} source - The source config.
+ * @returns {"geojson" | "csv" | "kml"} The format.
+ * @throws {Error} If the format can't be derived from the URL.
+ */
+function getSourceFormat({ url, format }) {
+  if (format) {
+    return format;
+  }
+
+  const { pathname } = new URL(url, window.location.href);
+  const extension = pathname.split(".").pop().toLowerCase();
+
+  if (!FORMATS_BY_EXTENSION[extension]) {
+    throw new Error(
+      `unknown file extension, set the format of the source to "geojson", "csv" or "kml"`
+    );
+  }
+
+  return FORMATS_BY_EXTENSION[extension];
+}
+
+/**
+ * Fetches a POI source and converts its features to POIs.
+ *
+ * @param {PoiSourceConfig} source - The source config.
+ * @param {string} idPrefix - The prefix of the IDs of features without an ID.
+ * @returns {Promise<PoiDetails[]>} The POIs.
+ */
+async function loadPoiSource(source, idPrefix) {
+  const format = getSourceFormat(source);
+  const response = await fetch(source.url);
+
+  if (!response.ok) {
+    throw new Error(`responded with status ${response.status}`);
+  }
+
+  const text = await response.text();
+  const featureCollection =
+    format === "csv"
+      ? csvToGeoJson(text)
+      : format === "kml"
+      ? kmlToGeoJson(text)
+      : JSON.parse(text);
+
+  return geoJsonToPois(featureCollection, idPrefix);
+}
+
+/**
+ * Loads the POIs of all sources of the `poi.sources` config.
+ * Sources which fail to load are logged and skipped, so that the other POIs are still shown.
+ *
+ * @param {Array<string | PoiSourceConfig>} sources - The sources config.
+ * @returns {Promise<PoiDetails[]>} The POIs of all sources.
+ */
+export async function loadPoiSources(sources) {
+  const poisOfSources = await Promise.all(
+    sources.map((entry) => {
+      const source = typeof entry === "string" ? { url: entry } : entry;
+
+      if (!loadedSources.has(source.url)) {
+        loadedSources.set(
+          source.url,
+          // the URL makes the generated IDs unique across sources
+          loadPoiSource(source, source.url).catch((error) => {
+            console.error(`Failed to load POI source ${source.url}:`, error);
+            loadedSources.delete(source.url);
+            return [];
+          })
+        );
+      }
+
+      return loadedSources.get(source.url);
+    })
+  );
+
+  return poisOfSources.flat();
+}
@@ -0,0 +1,149 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// The summary panel answers "what is the closest supermarket / train station / park?":
+// for each category of `poi.types` it shows the nearest place, the number of places
+// within walking distances and their average rating. It uses all POIs found by the search,
+// before the density reduction, so that the nearest place is shown even without a marker.
+
+import { activeConfig } from "./app.js";
+import { selectPoi } from "./create-markers.js";
+import { formatDistance, getDistance } from "./geo.js";
+import { getMapPanelColumn } from "./map-panels.js";
+import { placeTypes } from "./place-type-details.js";
+
+// The distances in meters within which the POIs of a category are counted
+const SUMMARY_RADII = [250, 500, 1000];
+
+/**
+ * Summarizes the POIs of each category around the center.
+ *
+ * @param {Poi[]} pois - The POIs.
+ * @param {string[]} types - The categories, e.g. the `poi.types` config.
+ * @param {google.maps.LatLngLiteral} centerCoordinates - The center to measure the distances from.
+ * @returns {Array<{
+ *   type: string,
+ *   nearest: {poi: Poi, distance: number} | null,
+ *   counts: Array<{radius: number, count: number}>,
+ *   averageRating: number | null
+ * }>} The summary of each category, distances are in meters.
+ */
+export function getPoiSummary(pois, types, centerCoordinates) {
+  return types.map((type) => {
+    const poisWithDistance = pois
+      .filter((poi) => poi.types.includes(type))
+      .map((poi) => ({
+        poi,
+        distance: getDistance(centerCoordinates, poi.coordinates),
+      }))
+      .sort((a, b) => a.distance - b.distance);
+
+    const ratings = poisWithDistance
+      .map(({ poi }) => poi.rating)
+      .filter((rating) => typeof rating === "number");
+
+    return {
+      type,
+      nearest: poisWithDistance[0] ?? null,
+      counts: SUMMARY_RADII.map((radius) => ({
+        radius,
+        count: poisWithDistance.filter(({ distance }) => distance <= radius)
+          .length,
+      })),
+      averageRating: ratings.length
+        ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+        : null,
+    };
+  });
+}
+
+/**
+ * Creates the summary entry of a category. Clicking the entry selects its nearest place.
+ *
+ * @param {ReturnType<typeof getPoiSummary>[number]} categorySummary - The summary of the category.
+ * @param {"metric" | "imperial"} units - The units of the distances.
+ * @returns {HTMLLIElement} The summary entry.
+ */
+function createSummaryEntry({ type, nearest, counts, averageRating }, units) {
+  const entry = document.createElement("li");
+  entry.classList.add("poi-summary-entry");
+
+  const typeElement = document.createElement("h3");
+  typeElement.textContent = placeTypes[type] ?? type;
+  entry.appendChild(typeElement);
+
+  if (!nearest) {
+    const emptyElement = document.createElement("p");
+    emptyElement.textContent = "None found within the search radius";
+    entry.appendChild(emptyElement);
+    return entry;
+  }
+
+  const nearestButton = document.createElement("button");
+  nearestButton.classList.add("text-button");
+  nearestButton.textContent = `${nearest.poi.name} · ${formatDistance(
+    nearest.distance,
+    units
+  )}`;
+  nearestButton.setAttribute(
+    "aria-label",
+    `Show the nearest ${placeTypes[type] ?? type}: ${nearest.poi.name}`
+  );
+  nearestButton.addEventListener("click", () =>
+    selectPoi(nearest.poi).catch((error) => console.error(error))
+  );
+  entry.appendChild(nearestButton);
+
+  const statsElement = document.createElement("p");
+  statsElement.classList.add("poi-summary-stats");
+  statsElement.textContent = [
+    ...counts.map(
+      ({ radius, count }) => `${count} within ${formatDistance(radius, units)}`
+    ),
+    ...(averageRating === null ? [] : [`★ ${averageRating.toFixed(1)}`]),
+  ].join(" · ");
+  entry.appendChild(statsElement);
+
+  return entry;
+}
+
+/**
+ * Creates the collapsible summary panel on the map, which is updated whenever new POIs are loaded.
+ */
+export function createPoiSummary() {
+  const summaryElement = document.createElement("details");
+  summaryElement.classList.add("poi-summary");
+  summaryElement.hidden = true;
+
+  const titleElement = document.createElement("summary");
+  titleElement.textContent = "Nearest places";
+  summaryElement.appendChild(titleElement);
+
+  const listElement = document.createElement("ul");
+  summaryElement.appendChild(listElement);
+
+  getMapPanelColumn().appendChild(summaryElement);
+
+  window.addEventListener("poisload", (event) => {
+    const { pois, types, centerCoordinates } = event.detail;
+    const { units } = activeConfig.markers.distanceLine;
+
+    summaryElement.hidden = types.length === 0;
+    listElement.replaceChildren(
+      ...getPoiSummary(pois, types, centerCoordinates).map((categorySummary) =>
+        createSummaryEntry(categorySummary, units)
+      )
+    );
+  });
+}
@@ -0,0 +1,220 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import { loadBoundary } from "./boundary.js";
+import { isInsideBoundary } from "./geo.js";
+import { placesProvider } from "./places.js";
+import { createGeoJsonProvider, createRestProvider } from "./poi-providers.js";
+import { loadPoiSources } from "./poi-sources.js";
+
+/**
+ * The POI provider set with `setPoiProvider`, which takes precedence over the `poi.provider` config.
+ * @type {PoiProvider | null}
+ */
+let customPoiProvider = null;
+
+/**
+ * The provider created for the `poi.provider` config, cached by its config.
+ * @type {{key: string, provider: PoiProvider} | null}
+ */
+let configuredPoiProvider = null;
+
+/**
+ * The provider which returned the current POIs, used to get their details.
+ * @type {PoiProvider}
+ */
+let currentPoiProvider = placesProvider;
+
+/**
+ * The current POIs of the `poi.sources` files by ID, whose details are the feature properties.
+ * @type {Map<string, PoiDetails>}
+ */
+let currentSourcePois = new Map();
+
+/**
+ * Sets a custom POI provider (e.g. `createFixtureProvider` for tests),
+ * which is used instead of the provider of the `poi.provider` config.
+ * Pass `null` to use the configured provider again.
+ *
+ * @param {PoiProvider | null} provider - The POI provider.
+ */
+export function setPoiProvider(provider) {
+  customPoiProvider = provider;
+}
+
+/**
+ * Creates the POI provider for the `poi.provider` config.
+ *
+ * @param {PoiProviderConfig} providerConfig - The POI provider config.
+ * @returns {PoiProvider} The POI provider.
+ * @throws {Error} If the provider needs a URL, but none is configured.
+ */
+function createPoiProvider({ type, url }) {
+  if (type === "places") {
+    return placesProvider;
+  }
+
+  if (!url) {
+    throw new Error(`poi.provider.url is required for the "${type}" provider`);
+  }
+
+  return type === "geojson"
+    ? createGeoJsonProvider(url)
+    : createRestProvider(url);
+}
+
+/**
+ * Returns the POI provider to use for the given config.
+ *
+ * @param {PoiConfig} poiConfig - The POI config.
+ * @returns {PoiProvider} The POI provider.
+ */
+function getPoiProvider(poiConfig) {
+  if (customPoiProvider) {
+    return customPoiProvider;
+  }
+
+  // only create a new provider if its config changed, to keep e.g. loaded files
+  const key = JSON.stringify(poiConfig.provider);
+  if (configuredPoiProvider?.key !== key) {
+    configuredPoiProvider = {
+      key,
+      provider: createPoiProvider(poiConfig.provider),
+    };
+  }
+
+  return configuredPoiProvider.provider;
+}
+
+/**
+ * Removes duplicate POIs (with the same ID), keeping the first one.
+ *
+ * @param {Poi[]} pois - The POIs.
+ * @returns {Poi[]} The unique POIs.
+ */
+function removeDuplicatePois(pois) {
+  return pois.reduce((uniquePois, poi) => {
+    // Check if the POI ID is not in the accumulator array
+    if (!uniquePois.some(({ id }) => id === poi.id)) {
+      uniquePois.push(poi);
+    }
+    return uniquePois;
+  }, []);
+}
+
+/**
+ * Retrieves the nearby POIs of the selected types from the POI provider
+ * and adds all POIs of the `poi.sources` files.
+ * With `poi.withinBoundary`, only the POIs inside the boundary of the location are returned.
+ *
+ * @param {PoiConfig} poiConfig
+ * @param {google.maps.LatLngLiteral} coordinates
+ * @param {LocationConfig["boundary"]} [boundary] - The `location.boundary` config.
+ *
+ * @returns {Promise<{pois: Poi[], foundPois: Poi[]}>} The POIs to show as markers
+ * and all found POIs before the density reduction (see `dispatchPoisLoad`).
+ */
+export async function getNearbyPois(poiConfig, coordinates, boundary) {
+  const provider = getPoiProvider(poiConfig);
+  const [searchedPois, loadedSourcePois, boundaryPolygons] = await Promise.all([
+    provider.search(coordinates, poiConfig.searchRadius, poiConfig.types),
+    loadPoiSources(poiConfig.sources),
+    poiConfig.withinBoundary && boundary
+      ? // without a valid boundary, the POIs are shown unfiltered
+        loadBoundary(boundary).catch((error) => {
+          console.warn("Failed to filter the POIs by the boundary:", error);
+          return null;
+        })
+      : null,
+  ]);
+
+  const isPoiInsideBoundary = (poi) =>
+    !boundaryPolygons || isInsideBoundary(poi.coordinates, boundaryPolygons);
+  const foundPois = searchedPois.filter(isPoiInsideBoundary);
+  const sourcePois = loadedSourcePois.filter(isPoiInsideBoundary);
+
+  currentPoiProvider = provider;
+  currentSourcePois = new Map(sourcePois.map((poi) => [poi.id, poi]));
+
+  // Group the POIs by the selected types. A POI can possibly have multiple types
+  // and therefore can be part of more than one group.
+  const uniquePois = removeDuplicatePois(foundPois);
+  const poisByType = poiConfig.types.map((type) =>
+    uniquePois.filter((poi) => poi.types.includes(type))
+  );
+  const allPois = poisByType.flat();
+  const totalNumberOfPois = allPois.length;
+
+  /**
+   * Reduce POIs depending on the density configuration value
+   * while keeping the proportion per type in the requested area
+   *
+   * @param {Poi[]} poisOfOneType - The POIs of a type
+   * @returns {Poi[]}
+   */
+  const reducePois = (poisOfOneType) => {
+    const numberOfPois = Math.round(
+      (poisOfOneType.length / totalNumberOfPois) * poiConfig.density
+    );
+    // Keep at least one POI per type
+    return poisOfOneType.slice(0, Math.max(1, numberOfPois));
+  };
+
+  const pois =
+    totalNumberOfPois <= poiConfig.density
+      ? allPois
+      : poisByType.map(reducePois).flat();
+
+  // A POI can be part of multiple types, so we need to filter out duplicates.
+  // The POIs of the sources are always shown, independent of their types and the density.
+  return {
+    pois: removeDuplicatePois([...pois, ...sourcePois]),
+    foundPois: removeDuplicatePois([...uniquePois, ...sourcePois]),
+  };
+}
+
+/**
+ * Passes all found POIs of the current location, before the density reduction,
+ * with the `poisload` event on `window`, e.g. to the nearest places and the score panels.
+ *
+ * @param {Poi[]} foundPois - The found POIs, see `getNearbyPois`.
+ * @param {PoiConfig} poiConfig - The POI config of the search.
+ * @param {google.maps.LatLngLiteral} coordinates - The center coordinates of the search.
+ */
+export function dispatchPoisLoad(foundPois, poiConfig, coordinates) {
+  window.dispatchEvent(
+    new CustomEvent("poisload", {
+      detail: {
+        pois: foundPois,
+        types: poiConfig.types,
+        centerCoordinates: coordinates,
+      },
+    })
+  );
+}
+
+/**
+ * Returns the details of a POI from the provider which returned it.
+ * POIs of the `poi.sources` files already contain their details.
+ *
+ * @param {string} id - The ID of the POI.
+ * @returns {Promise<PoiDetails>} The POI details.
+ */
+export async function getPoiDetails(id) {
+  if (currentSourcePois.has(id)) {
+    return currentSourcePois.get(id);
+  }
+
+  return currentPoiProvider.getDetails(id);
+}
@@ -0,0 +1,126 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// A walkability-style score from 0 to 100 for the center location.
+// Every place of a category has a value from 0 to 1 depending on its distance (the decay curve).
+// The coverage of a category is the sum of the values of its best places, up to the `count` of
+// the category, and the score is the weighted average of the coverages of all categories.
+
+import { getDistance } from "./geo.js";
+import { getPoiCategory } from "./marker-theme.js";
+
+// Decay curves: the value of a place from 1 to 0 for a ratio from 0 (`fullDistance`) to 1 (`maxDistance`)
+const DECAY_CURVES = {
+  linear: (ratio) => 1 - ratio,
+  // about 0.05 at the max distance
+  exponential: (ratio) => Math.exp(-3 * ratio),
+  // places between the full and the max distance count half
+  step: () => 0.5,
+};
+
+/**
+ * Returns the value of a place at a distance from the center.
+ *
+ * @param {number} distance - The distance in meters.
+ * @param {ScoreDecayConfig} decay - The decay config.
+ * @returns {number} The value from 0 to 1.
+ */
+export function getDecayValue(distance, { curve, fullDistance, maxDistance }) {
+  if (distance <= fullDistance) {
+    return 1;
+  }
+  if (distance >= maxDistance) {
+    return 0;
+  }
+
+  return DECAY_CURVES[curve](
+    (distance - fullDistance) / (maxDistance - fullDistance)
+  );
+}
+
+/**
+ * Calculates the neighbourhood score of the center location.
+ * A POI scores in its category like in the legend only (see `getPoiCategory`).
+ *
+ * @param {Poi[]} pois - The POIs around the center.
+ * @param {google.maps.LatLngLiteral} centerCoordinates - The center location.
+ * @param {ScoreConfig} scoreConfig - The `score` config.
+ * @param {string[]} types - The searched types, e.g. the `poi.types`, which are also the categories
+ * if the config has no `categories`.
+ * @param {MarkersConfig} markersConfig - The `markers` config, which decides the category of a POI without a searched type.
+ * @returns {NeighbourhoodScore} The score and its breakdown by category.
+ *
+ * @example
+ * const { score, categories } = calculateNeighbourhoodScore(
+ *   pois,
+ *   coordinates,
+ *   config.score,
+ *   ["park"],
+ *   config.markers
+ * );
+ */
+export function calculateNeighbourhoodScore(
+  pois,
+  centerCoordinates,
+  scoreConfig,
+  types,
+  markersConfig
+) {
+  const categoryConfigs = scoreConfig.categories.length
+    ? scoreConfig.categories
+    : types.map((type) => ({ type, weight: 1, count: 1 }));
+  const totalWeight = categoryConfigs.reduce(
+    (sum, { weight }) => sum + weight,
+    0
+  );
+
+  const categories = categoryConfigs.map(({ type, weight, count, decay }) => {
+    const categoryDecay = { ...scoreConfig.decay, ...decay };
+    const values = pois
+      .filter((poi) => getPoiCategory(poi, types, markersConfig) === type)
+      .map((poi) =>
+        getDecayValue(
+          getDistance(centerCoordinates, poi.coordinates),
+          categoryDecay
+        )
+      )
+      .filter((value) => value > 0)
+      .sort((a, b) => b - a);
+
+    const coverage =
+      values.slice(0, count).reduce((sum, value) => sum + value, 0) / count;
+
+    return {
+      type,
+      weight,
+      places: values.length,
+      coverage: Math.round(coverage * 100) / 100,
+      // the share of this category in the score
+      points: totalWeight ? (100 * weight * coverage) / totalWeight : 0,
+    };
+  });
+
+  const score = Math.round(
+    categories.reduce((sum, { points }) => sum + points, 0)
+  );
+
+  return {
+    score,
+    centerCoordinates,
+    categories: categories.map(({ points, ...category }) => ({
+      ...category,
+      points: Math.round(points * 10) / 10,
+    })),
+  };
+}
@@ -0,0 +1,338 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// The story guides through the neighbourhood: it visits the `story.stops` in order,
+// shows a caption with the narrative text of each stop and moves on after the dwell time.
+// When the story ends, the camera flies back to the location and the auto-orbit starts again.
+
+import { toggleSidebar, updateSidebarElements } from "../sidebar/sidebar.js";
+import { activeConfig } from "./app.js";
+import { stopTour } from "./camera-tour.js";
+import {
+  autoOrbitController,
+  cesiumViewer,
+  performFlyTo,
+} from "./cesium.js";
+import { getMarkerPois, setSelectedMarker } from "./create-markers.js";
+import { createTextButton } from "./map-panels.js";
+import { getPoiDetails } from "./pois.js";
+
+/**
+ * The index of the current stop, `null` if the story isn't told
+ * @type {number | null}
+ */
+let currentStopIndex = null;
+
+/**
+ * The timeout which moves on to the next stop
+ * @type {number}
+ */
+let dwellTimeoutId = 0;
+
+/**
+ * The ID of the latest `showStoryStop` call, to discard stops which are still loading
+ * @type {number}
+ */
+let storyStepId = 0;
+
+/**
+ * Returns the state of the story.
+ *
+ * @returns {{stopIndex: number, stopCount: number} | null} The index of the current stop
+ * and the number of stops, or `null` if the story isn't told.
+ */
+export function getStoryState() {
+  if (currentStopIndex === null) {
+    return null;
+  }
+
+  return {
+    stopIndex: currentStopIndex,
+    stopCount: activeConfig.story.stops.length,
+  };
+}
+
+/**
+ * Returns the POI of a stop, from the markers or otherwise from the POI provider.
+ *
+ * @param {string} id - The place ID of the POI.
+ * @returns {Promise<Poi | null>} The POI, or `null` if it can't be found.
+ */
+async function getStopPoi(id) {
+  const markerPoi = getMarkerPois().pois.find((poi) => poi.id === id);
+
+  if (markerPoi) {
+    return markerPoi;
+  }
+
+  try {
+    return await getPoiDetails(id);
+  } catch (error) {
+    console.error(error);
+    return null;
+  }
+}
+
+/**
+ * Shows a stop of the story: the camera flies to it, its marker is selected and
+ * the `storychange` event is dispatched on `window` with the caption of the stop.
+ * The story moves on to the next stop after the dwell time.
+ *
+ * @param {number} index - The index of the stop.
+ */
+async function showStoryStop(index) {
+  const stepId = ++storyStepId;
+  const storyConfig = activeConfig.story;
+  const stop = storyConfig.stops[index];
+
+  clearTimeout(dwellTimeoutId);
+  currentStopIndex = index;
+
+  const poi = stop.poi ? await getStopPoi(stop.poi) : null;
+
+  // the story moved on or was stopped in the meantime
+  if (stepId !== storyStepId) {
+    return;
+  }
+
+  const coordinates = stop.coordinates ?? poi?.coordinates;
+
+  if (!coordinates) {
+    console.warn(`Skipping story stop ${index + 1}, its place wasn't found`);
+    moveToStoryStop(index + 1);
+    return;
+  }
+
+  autoOrbitController.stop();
+  await performFlyTo(coordinates, {
+    range: stop.range ?? storyConfig.range,
+    duration: storyConfig.flightDuration,
+    startAutoOrbit: false,
+  });
+
+  // the story moved on or was stopped while the flight started
+  if (stepId !== storyStepId) {
+    return;
+  }
+
+  // POIs without a marker (e.g. removed by the density reduction) are only shown in the sidebar
+  setSelectedMarker(
+    poi ? cesiumViewer.entities.getById(poi.id) ?? null : null
+  );
+
+  if (storyConfig.openSidebar && poi) {
+    toggleSidebar("open");
+    updateSidebarElements(poi.id);
+  } else if (storyConfig.openSidebar) {
+    toggleSidebar("close");
+  }
+
+  const dwell = stop.dwell ?? storyConfig.dwell;
+
+  window.dispatchEvent(
+    new CustomEvent("storychange", {
+      detail: {
+        state: getStoryState(),
+        caption: { title: stop.title ?? poi?.name ?? "", text: stop.text ?? "" },
+        // the seconds until the story moves on, including the flight
+        duration: storyConfig.flightDuration + dwell,
+      },
+    })
+  );
+
+  dwellTimeoutId = setTimeout(
+    () => moveToStoryStop(index + 1),
+    (storyConfig.flightDuration + dwell) * 1000
+  );
+}
+
+/**
+ * Shows a stop of the story, or ends the story after the last stop.
+ *
+ * @param {number} index - The index of the stop.
+ */
+function moveToStoryStop(index) {
+  if (index >= activeConfig.story.stops.length) {
+    stopStory();
+    return;
+  }
+
+  showStoryStop(Math.max(index, 0)).catch((error) => console.error(error));
+}
+
+/**
+ * Starts the story with its first stop. A camera tour which is played is stopped.
+ *
+ * @throws {Error} If the `story.stops` config is empty.
+ */
+export function startStory() {
+  if (!activeConfig.story.stops.length) {
+    throw new Error("The story has no stops, add them to the story.stops config");
+  }
+
+  stopTour();
+  moveToStoryStop(0);
+}
+
+/**
+ * Moves on to the next stop, or ends the story at the last stop.
+ */
+export function showNextStoryStop() {
+  if (currentStopIndex !== null) {
+    moveToStoryStop(currentStopIndex + 1);
+  }
+}
+
+/**
+ * Goes back to the previous stop, or shows the first stop again.
+ */
+export function showPreviousStoryStop() {
+  if (currentStopIndex !== null) {
+    moveToStoryStop(currentStopIndex - 1);
+  }
+}
+
+/**
+ * Ends the story. The selected marker is deselected and the camera flies back to the location
+ * to continue with the auto-orbit.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.returnToLocation] - Whether the camera flies back to the location, default: true.
+ */
+export function stopStory({ returnToLocation = true } = {}) {
+  if (currentStopIndex === null) {
+    return;
+  }
+
+  // discard a stop which is still loading
+  storyStepId++;
+  clearTimeout(dwellTimeoutId);
+  currentStopIndex = null;
+
+  setSelectedMarker(null);
+
+  if (activeConfig.story.openSidebar) {
+    toggleSidebar("close");
+  }
+
+  window.dispatchEvent(
+    new CustomEvent("storychange", { detail: { state: null } })
+  );
+
+  if (returnToLocation) {
+    performFlyTo(activeConfig.location.coordinates, { startAutoOrbit: true });
+  }
+}
+
+/**
+ * Creates the story card on the map. Before the story is started, it only contains the start button.
+ * While the story is told, it shows the caption of the current stop, the progress and the controls.
+ */
+export function createStory() {
+  const overlay = document.querySelector(".custom-overlay");
+
+  const storyCard = document.createElement("section");
+  storyCard.classList.add("story-card");
+  storyCard.setAttribute("aria-live", "polite");
+
+  const startButton = createTextButton("Tour the neighbourhood", () => {
+    try {
+      startStory();
+    } catch (error) {
+      console.error(error);
+    }
+  });
+  startButton.classList.add("story-start-button");
+
+  const progressElement = document.createElement("p");
+  progressElement.classList.add("story-progress");
+
+  const dwellElement = document.createElement("div");
+  dwellElement.classList.add("story-dwell");
+
+  const titleElement = document.createElement("h2");
+  titleElement.classList.add("story-title");
+
+  const textElement = document.createElement("p");
+  textElement.classList.add("story-text");
+
+  const controlsElement = document.createElement("div");
+  controlsElement.classList.add("story-controls");
+  controlsElement.append(
+    createTextButton("Previous", showPreviousStoryStop),
+    createTextButton("Next", showNextStoryStop),
+    createTextButton("Stop", () => stopStory())
+  );
+
+  const captionElement = document.createElement("div");
+  captionElement.classList.add("story-caption");
+  captionElement.append(
+    progressElement,
+    dwellElement,
+    titleElement,
+    textElement,
+    controlsElement
+  );
+
+  storyCard.append(startButton, captionElement);
+  overlay.appendChild(storyCard);
+
+  const updateStoryCard = (event) => {
+    const { state, caption, duration } = event?.detail ?? {};
+
+    storyCard.hidden = !state && !activeConfig.story.stops.length;
+    startButton.hidden = Boolean(state);
+    captionElement.hidden = !state;
+
+    if (!state) {
+      return;
+    }
+
+    progressElement.textContent = `Stop ${state.stopIndex + 1} of ${
+      state.stopCount
+    }`;
+    titleElement.textContent = caption.title;
+    textElement.textContent = caption.text;
+    textElement.hidden = !caption.text;
+
+    // restart the bar which shows the time until the story moves on
+    const dwellBar = document.createElement("span");
+    dwellBar.style.setProperty("--duration", `${duration}s`);
+    dwellElement.replaceChildren(dwellBar);
+  };
+
+  updateStoryCard();
+
+  window.addEventListener("storychange", updateStoryCard);
+
+  window.addEventListener("configchange", (event) => {
+    if (event.detail.changedPaths.some((path) => path.startsWith("story."))) {
+      // the stops of a story which is told might have changed
+      stopStory({ returnToLocation: false });
+      updateStoryCard();
+    }
+  });
+
+  // the location switcher flies to the new location
+  window.addEventListener("locationchange", () =>
+    stopStory({ returnToLocation: false })
+  );
+
+  // a camera tour takes over the camera
+  window.addEventListener("tourchange", (event) => {
+    if (event.detail.state) {
+      stopStory({ returnToLocation: false });
+    }
+  });
+}
@@ -0,0 +1,223 @@
+// Copyright 2024 Google LLC
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//      http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Behavior checks of the pure helpers, which run in Node without a browser or Cesium:
+// node --test
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  CONFIG_VERSION,
+  migrateConfig,
+} from "../src/utils/config-migrations.js";
+import { validateConfig } from "../src/utils/config-validation.js";
+import { formatDistance, isInsideBoundary } from "../src/utils/geo.js";
+import { createFixtureProvider } from "../src/utils/poi-providers.js";
+import {
+  csvToGeoJson,
+  kmlToGeoJson,
+  parseCsv,
+} from "../src/utils/poi-sources.js";
+import {
+  calculateNeighbourhoodScore,
+  getDecayValue,
+} from "../src/utils/score-calculation.js";
+
+const CENTER = { lat: 40.7425, lng: -74.0061 };
+
+// about 111 meters north of the center per 0.001 degrees
+const FIXTURE_POIS = [
+  {
+    id: "1",
+    name: "Park",
+    coordinates: { lat: 40.7426, lng: -74.0061 },
+    types: ["park"],
+  },
+  {
+    id: "2",
+    name: "Cafe",
+    coordinates: { lat: 40.7445, lng: -74.0061 },
+    types: ["cafe", "bakery"],
+  },
+  {
+    id: "3",
+    name: "Far cafe",
+    coordinates: { lat: 40.7625, lng: -74.0061 },
+    types: ["cafe"],
+  },
+];
+
+const MARKERS_CONFIG = { types: {} };
+
+describe("parseCsv", () => {
+  it("parses quoted fields with commas, quotes and line breaks", () => {
+    assert.deepEqual(parseCsv('name,note\r\n"A, B","say ""hi""\nthere"\n\n'), [
+      ["name", "note"],
+      ["A, B", 'say "hi"\nthere'],
+    ]);
+  });
+});
+
+describe("csvToGeoJson", () => {
+  it("converts the rows to point features and skips invalid coordinates", () => {
+    const { features } = csvToGeoJson(
+      "name,Latitude,lon\nBar,40.1,-74.2\nBroken,,-74.2\n"
+    );
+
+    assert.equal(features.length, 1);
+    assert.deepEqual(features[0].geometry.coordinates, [-74.2, 40.1]);
+    assert.equal(features[0].properties.name, "Bar");
+  });
+
+  it("requires a lat and lng column", () => {
+    assert.throws(() => csvToGeoJson("name\nBar\n"), /lat and lng column/);
+  });
+});
+
+describe("kmlToGeoJson", () => {
+  // the KML parser needs the DOMParser of a browser
+  it(
+    "converts the point placemarks and skips invalid coordinates",
+    { skip: typeof DOMParser === "undefined" && "DOMParser is not available" },
+    () => {
+      const { features } = kmlToGeoJson(`<kml><Document>
+        <Placemark id="a"><name>Bar</name><Point><coordinates>-74.2,40.1,0</coordinates></Point></Placemark>
+        <Placemark><name>Broken</name><Point><coordinates>x,y</coordinates></Point></Placemark>
+      </Document></kml>`);
+
+      assert.equal(features.length, 1);
+      assert.equal(features[0].id, "a");
+      assert.deepEqual(features[0].geometry.coordinates, [-74.2, 40.1]);
+    }
+  );
+});
+
+describe("migrateConfig", () => {
+  it("migrates a config without a version", () => {
+    const { config, fromVersion } = migrateConfig({ camera: { speed: 2 } });
+
+    assert.equal(fromVersion, 0);
+    assert.equal(config.version, CONFIG_VERSION);
+    assert.deepEqual(config.camera, { speed: 2 });
+  });
+
+  it("rejects a config of a newer version", () => {
+    assert.throws(
+      () => migrateConfig({ version: CONFIG_VERSION + 1 }),
+      /newer than the supported version/
+    );
+  });
+});
+
+describe("validateConfig", () => {
+  it("fills in the defaults", () => {
+    const { config, errors } = validateConfig({
+      location: { coordinates: CENTER },
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.poi.density, 30);
+  });
+
+  it("reports path-qualified errors and warnings", () => {
+    const { errors, warnings } = validateConfig({
+      location: {},
+      poi: { density: "30", unknown: true },
+    });
+
+    assert.deepEqual(errors, [
+      "location.coordinates: is required",
+      'poi.density: expected a number, got "30"',
+    ]);
+    assert.ok(warnings.includes("poi.unknown: unknown key is ignored"));
+  });
+});
+
+describe("getDecayValue", () => {
+  const decay = { curve: "linear", fullDistance: 100, maxDistance: 300 };
+
+  it("decays between the full and the max distance", () => {
+    assert.equal(getDecayValue(50, decay), 1);
+    assert.equal(getDecayValue(200, decay), 0.5);
+    assert.equal(getDecayValue(300, decay), 0);
+    assert.equal(getDecayValue(200, { ...decay, curve: "step" }), 0.5);
+  });
+});
+
+describe("calculateNeighbourhoodScore", () => {
+  it("scores the POIs of the fixture provider by category", async () => {
+    const types = ["park", "cafe"];
+    const pois = await createFixtureProvider(FIXTURE_POIS).search(
+      CENTER,
+      5000,
+      types
+    );
+    const scoreConfig = {
+      decay: { curve: "linear", fullDistance: 100, maxDistance: 1000 },
+      categories: [],
+    };
+
+    const { score, categories } = calculateNeighbourhoodScore(
+      pois,
+      CENTER,
+      scoreConfig,
+      types,
+      MARKERS_CONFIG
+    );
+
+    assert.equal(pois.length, 3);
+    assert.deepEqual(
+      categories.map(({ type, places }) => [type, places]),
+      [
+        ["park", 1],
+        // the far cafe is beyond the max distance
+        ["cafe", 1],
+      ]
+    );
+    assert.ok(score > 50 && score < 100);
+  });
+});
+
+describe("isInsideBoundary", () => {
+  const square = [
+    [0, 0],
+    [10, 0],
+    [10, 10],
+    [0, 10],
+    [0, 0],
+  ];
+  const hole = [
+    [4, 4],
+    [6, 4],
+    [6, 6],
+    [4, 6],
+    [4, 4],
+  ];
+
+  it("checks the outline and the holes of the polygons", () => {
+    assert.equal(isInsideBoundary({ lat: 2, lng: 2 }, [[square, hole]]), true);
+    assert.equal(isInsideBoundary({ lat: 5, lng: 5 }, [[square, hole]]), false);
+    assert.equal(isInsideBoundary({ lat: 20, lng: 2 }, [[square]]), false);
+  });
+});
+
+describe("formatDistance", () => {
+  it("formats metric and imperial distances", () => {
+    assert.equal(formatDistance(250, "metric"), "250 m");
+    assert.equal(formatDistance(1234, "metric"), "1.2 km");
+    assert.equal(formatDistance(100, "imperial"), "328 ft");
+    assert.equal(formatDistance(1609.344, "imperial"), "1.0 mi");
+  });
+});